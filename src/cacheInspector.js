@@ -0,0 +1,331 @@
+/**
+ * Describes the caches of the stage's DisplayObjects, checks whether each cache covers its DisplayObject's actual bounds, and tracks whether caches have gone stale because their DisplayObjects changed without updateCache being called
+ */
+export default class CacheInspector {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's caches are inspected
+   */
+  constructor(inspector) {
+    this._onDrawEnd = this._onDrawEnd.bind(this);
+
+    /**
+     * inspector whose stage's caches are inspected
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * state of each cached DisplayObject's content when its cache was last updated, by DisplayObject id, each with the cacheID and a signature of the content
+     * @access private
+     */
+    this._baselines = {};
+
+    /**
+     * cache settings of the DisplayObjects uncached by toggle, by the id of the DisplayObject toggle was called with
+     * @access private
+     */
+    this._uncached = {};
+
+    /**
+     * whether stale caches are being tracked
+     * @access private
+     */
+    this._tracking = false;
+  }
+
+  /**
+   * Starts tracking which caches go stale by checking the cached DisplayObjects each time the stage redraws
+   * @access public
+   */
+  startTracking() {
+    if (!this._tracking) {
+      this._tracking = true;
+      this._onDrawEnd();
+      this._inspector._stage.addEventListener('drawend', this._onDrawEnd);
+    }
+  }
+
+  /**
+   * Stops tracking which caches go stale
+   * @access public
+   */
+  stopTracking() {
+    this._tracking = false;
+    this._baselines = {};
+    this._inspector._stage.removeEventListener('drawend', this._onDrawEnd);
+  }
+
+  /**
+   * Describes the cache of each cached DisplayObject
+   * @access public
+   * @param {?Array} filters - filter array where only DisplayObjects that match at least one filter are included, or null for all cached DisplayObjects
+   * @return {object[]} the caches, each with the DisplayObject (object), the cache rect in its local space (x, y, width, and height), the cache's scale, the cacheCanvas' canvasWidth and canvasHeight in pixels, its estimated memory in bytes, the DisplayObject's actual local bounds (or null if unavailable), whether the cache rect clips those bounds (clipped), and whether the cache is likely stale
+   */
+  getCaches(filters) {
+    return this._getCachedObjects().filter((obj) => !filters || this._inspector._checkFilters(obj, filters)).map((obj) => {
+      const rect = this._getCacheRect(obj);
+      const bounds = this._getUncachedBounds(obj);
+      const canvas = obj.cacheCanvas;
+
+      return {
+        object:       obj,
+        x:            rect.x,
+        y:            rect.y,
+        width:        rect.width,
+        height:       rect.height,
+        scale:        rect.scale,
+        canvasWidth:  canvas.width,
+        canvasHeight: canvas.height,
+        memory:       canvas.width * canvas.height * 4,
+        bounds,
+        clipped:      this._getClippedAreas(rect, bounds).length > 0,
+        stale:        this._isStale(obj),
+      };
+    });
+  }
+
+  /**
+   * Uncaches a DisplayObject and its cached descendants, or recaches the ones uncached by the previous call for the same DisplayObject
+   * @access public
+   * @param {!DisplayObject} target - DisplayObject whose subtree to toggle
+   * @return {boolean} true if the subtree was recached, false if it was uncached
+   */
+  toggle(target) {
+    const uncached = this._uncached[target.id];
+    if (uncached) {
+      delete this._uncached[target.id];
+      uncached.forEach((entry) => {
+        entry.object.cache(entry.rect.x, entry.rect.y, entry.rect.width, entry.rect.height, entry.rect.scale);
+      });
+      return true;
+    }
+
+    const entries = [];
+    const visit = (obj) => {
+      if (obj.cacheCanvas) {
+        entries.push({ object: obj, rect: this._getCacheRect(obj) });
+        obj.uncache();
+      }
+      if (obj.children) {
+        obj.children.forEach(visit);
+      }
+    };
+    visit(target);
+    this._uncached[target.id] = entries;
+
+    return false;
+  }
+
+  /**
+   * Finds the cached DisplayObjects on the stage
+   * @access private
+   * @return {DisplayObject[]} the cached DisplayObjects
+   */
+  _getCachedObjects() {
+    const back = [];
+    const visit = (obj) => {
+      if (obj === this._inspector._container) {
+        return;
+      }
+      if (obj.cacheCanvas) {
+        back.push(obj);
+      }
+      if (obj.children) {
+        obj.children.forEach(visit);
+      }
+    };
+    visit(this._inspector._stage);
+
+    return back;
+  }
+
+  /**
+   * Retrieves the rect and scale a DisplayObject was cached with
+   * @access private
+   * @param {!DisplayObject} obj - cached DisplayObject
+   * @return {object} x, y, width, and height of the cache rect in obj's local space, and the scale
+   */
+  _getCacheRect(obj) {
+    const bitmapCache = obj.bitmapCache;
+    if (bitmapCache) {
+      // EaselJS 1.x keeps the cache settings in a BitmapCache
+      return { x: bitmapCache.x, y: bitmapCache.y, width: bitmapCache.width, height: bitmapCache.height, scale: bitmapCache.scale };
+    }
+
+    return { x: obj._cacheOffsetX, y: obj._cacheOffsetY, width: obj._cacheWidth, height: obj._cacheHeight, scale: obj._cacheScale };
+  }
+
+  /**
+   * Retrieves the local bounds of a DisplayObject as if it weren't cached, since getBounds returns the cache rect for cached DisplayObjects
+   * @access private
+   * @param {!DisplayObject} obj - cached DisplayObject
+   * @return {Rectangle} the bounds, or null if unavailable
+   */
+  _getUncachedBounds(obj) {
+    const cacheCanvas = obj.cacheCanvas;
+    obj.cacheCanvas = null;
+    try {
+      const bounds = this._inspector._getObjectBounds(obj);
+      return bounds ? bounds.clone() : null;
+    }
+    finally {
+      obj.cacheCanvas = cacheCanvas;
+    }
+  }
+
+  /**
+   * Finds the parts of a DisplayObject's bounds that are outside of its cache rect
+   * @access private
+   * @param {!object} rect - cache rect from _getCacheRect
+   * @param {Rectangle} bounds - actual local bounds from _getUncachedBounds
+   * @return {object[]} rectangles in the DisplayObject's local space, each with x, y, width, and height
+   */
+  _getClippedAreas(rect, bounds) {
+    if (!bounds) {
+      return [];
+    }
+
+    const left = bounds.x;
+    const top = bounds.y;
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.height;
+    const rectRight = rect.x + rect.width;
+    const rectBottom = rect.y + rect.height;
+    const innerTop = Math.max(top, rect.y);
+    const innerBottom = Math.min(bottom, rectBottom);
+    const areas = [
+      { x: left, y: top, width: bounds.width, height: Math.min(rect.y, bottom) - top },
+      { x: left, y: Math.max(rectBottom, top), width: bounds.width, height: bottom - Math.max(rectBottom, top) },
+      { x: left, y: innerTop, width: Math.min(rect.x, right) - left, height: innerBottom - innerTop },
+      { x: Math.max(rectRight, left), y: innerTop, width: right - Math.max(rectRight, left), height: innerBottom - innerTop },
+    ];
+
+    return areas.filter((area) => area.width > CacheInspector.CLIP_TOLERANCE && area.height > CacheInspector.CLIP_TOLERANCE);
+  }
+
+  /**
+   * Describes the parts of a DisplayObject and its descendants that are drawn into its cache, so changes to them can be detected.  obj's own transform, alpha, and visibility are left out since they are applied when the cache is drawn.
+   * @access private
+   * @param {!DisplayObject} obj - cached DisplayObject
+   * @return {string} the description
+   */
+  _getSignature(obj) {
+    const parts = [];
+    const describeContent = (cur) => {
+      const graphics = cur.graphics;
+      parts.push(cur.id, cur.text, cur.font, cur.color, cur.lineWidth, cur.currentFrame, cur.image && cur.image.src, cur.filters ? cur.filters.length : 0);
+      if (graphics) {
+        parts.push((graphics.instructions || graphics._instructions || []).length, graphics.command && graphics.command.style);
+      }
+    };
+    const visit = (cur) => {
+      parts.push('(', cur.x, cur.y, cur.regX, cur.regY, cur.scaleX, cur.scaleY, cur.rotation, cur.skewX, cur.skewY, cur.alpha, cur.visible, cur.compositeOperation);
+      describeContent(cur);
+      if (cur.children) {
+        cur.children.forEach(visit);
+      }
+      parts.push(')');
+    };
+
+    describeContent(obj);
+    if (obj.children) {
+      obj.children.forEach(visit);
+    }
+
+    return parts.join(',');
+  }
+
+  /**
+   * Checks if a cached DisplayObject changed since its cache was last updated
+   * @access private
+   * @param {!DisplayObject} obj - cached DisplayObject
+   * @return {boolean} true if the cache is likely stale, false if not or if stale caches aren't being tracked
+   */
+  _isStale(obj) {
+    const baseline = this._baselines[obj.id];
+    return !!baseline && baseline.cacheID === obj.cacheID && baseline.signature !== this._getSignature(obj);
+  }
+
+  /**
+   * Event handler for each stage redraw while tracking stale caches, which records the content of each cache that was created or updated since the last redraw
+   * @access private
+   */
+  _onDrawEnd() {
+    const baselines = {};
+    this._getCachedObjects().forEach((obj) => {
+      const baseline = this._baselines[obj.id];
+      baselines[obj.id] = baseline && baseline.cacheID === obj.cacheID ? baseline : { cacheID: obj.cacheID, signature: this._getSignature(obj) };
+    });
+    this._baselines = baselines;
+  }
+
+  /**
+   * Draws the cache rect of each cached DisplayObject, filling the parts of its actual bounds that the cache rect clips and outlining stale caches with a dashed line
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {?Array} filters - filter array for which cached DisplayObjects to draw
+   */
+  _draw(container, filters) {
+    this.getCaches(filters).forEach((entry) => {
+      const obj = entry.object;
+      const shape = new createjs.Shape();
+      shape.name = 'si_cache_' + obj.id;
+      container.addChild(shape);
+
+      const g = shape.graphics;
+      const drawQuad = (rect) => {
+        const corners = [
+          obj.localToGlobal(rect.x, rect.y),
+          obj.localToGlobal(rect.x + rect.width, rect.y),
+          obj.localToGlobal(rect.x + rect.width, rect.y + rect.height),
+          obj.localToGlobal(rect.x, rect.y + rect.height),
+        ];
+        g.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach((pt) => {
+          g.lineTo(pt.x, pt.y);
+        });
+        g.closePath();
+      };
+
+      g.beginFill(CacheInspector.CLIP_COLOR);
+      this._getClippedAreas(entry, entry.bounds).forEach(drawQuad);
+      g.endFill();
+
+      g.setStrokeStyle(2).setStrokeDash(entry.stale ? [6, 3] : null).beginStroke(entry.stale ? CacheInspector.STALE_COLOR : CacheInspector.COLOR);
+      drawQuad(entry);
+      g.endStroke().setStrokeDash(null);
+
+      const labelPos = obj.localToGlobal(entry.x, entry.y);
+      const text = new createjs.Text('cache ' + entry.canvasWidth + '\u00d7' + entry.canvasHeight + (entry.stale ? ' stale' : ''), '10px sans-serif', entry.stale ? CacheInspector.STALE_COLOR : CacheInspector.COLOR);
+      text.name = 'si_cacheText_' + obj.id;
+      text.x = labelPos.x + 2;
+      text.y = labelPos.y + 2;
+      container.addChild(text);
+    });
+  }
+}
+
+/**
+ * color for outlining cache rects
+ * @access public
+ */
+CacheInspector.COLOR = '#00b050';
+
+/**
+ * color for outlining caches that are likely stale
+ * @access public
+ */
+CacheInspector.STALE_COLOR = '#ff9900';
+
+/**
+ * color for filling the parts of DisplayObjects that their cache rect clips
+ * @access public
+ */
+CacheInspector.CLIP_COLOR = 'rgba(255, 0, 0, 0.4)';
+
+/**
+ * how far, in local units, bounds can extend past the cache rect without being reported as clipped, to allow for rounding
+ * @access public
+ */
+CacheInspector.CLIP_TOLERANCE = 0.5;
@@ -0,0 +1,227 @@
+/**
+ * Lets DisplayObjects be repositioned by dragging them on the stage or nudging them with the arrow keys.  Movement is converted into each DisplayObject's parent coordinate space, so it follows the mouse even when ancestors are scaled or rotated.
+ */
+export default class DragMode {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's DisplayObjects are moved
+   * @param {?Array} filters - filter array where only DisplayObjects that match at least one filter can be dragged, or null for all DisplayObjects
+   */
+  constructor(inspector, filters) {
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    /**
+     * inspector whose stage's DisplayObjects are moved
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * filter array for which DisplayObjects can be dragged
+     * @access private
+     */
+    this._filters = filters;
+
+    /**
+     * DisplayObjects moved while this mode was enabled, each with the DisplayObject (obj) and its original local position (x and y)
+     * @access private
+     */
+    this._moved = [];
+
+    /**
+     * state of the drag in progress, or null if there isn't one
+     * @access private
+     */
+    this._drag = null;
+  }
+
+  /**
+   * Starts listening for drags and arrow keys and blocks normal mouse interaction with the stage's DisplayObjects
+   * @access public
+   */
+  enable() {
+    const stage = this._inspector._stage;
+    this._mouseListeners = this._inspector._blockMouseEvents({});
+    this._downListener = stage.on('stagemousedown', this._onDown, this);
+    this._moveListener = stage.on('stagemousemove', this._onMove, this);
+    this._upListener = stage.on('stagemouseup', this._onUp, this);
+    window.addEventListener('keydown', this._onKeyDown);
+    this._inspector._setOverlayDrawer('drag', (container) => {
+      this._draw(container);
+    });
+  }
+
+  /**
+   * Stops listening for drags and arrow keys and re-enables normal mouse interaction with the stage's DisplayObjects
+   * @access public
+   * @return {object[]} the moved DisplayObjects, each with the DisplayObject (object), its original local position (originalX and originalY), and its new local position (x and y)
+   */
+  disable() {
+    const stage = this._inspector._stage;
+    this._inspector._unblockMouseEvents(this._mouseListeners);
+    stage.off('stagemousedown', this._downListener);
+    stage.off('stagemousemove', this._moveListener);
+    stage.off('stagemouseup', this._upListener);
+    window.removeEventListener('keydown', this._onKeyDown);
+    this._inspector._setOverlayDrawer('drag', null);
+    this._inspector._redrawStage();
+
+    return this._moved.map((entry) => {
+      return {
+        object:    entry.obj,
+        originalX: entry.x,
+        originalY: entry.y,
+        x:         entry.obj.x,
+        y:         entry.obj.y,
+      };
+    });
+  }
+
+  /**
+   * Remembers the original position of a DisplayObject the first time it is moved
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject about to be moved
+   * @return {object} the entry in _moved for obj
+   */
+  _track(obj) {
+    let entry = this._moved.filter((moved) => moved.obj === obj)[0];
+    if (!entry) {
+      entry = { obj, x: obj.x, y: obj.y };
+      this._moved.push(entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Event handler for starting to drag the topmost matching DisplayObject under the mouse
+   * @access private
+   * @param {!MouseEvent} evt - createjs stagemousedown event
+   */
+  _onDown(evt) {
+    const inspector = this._inspector;
+    const obj = inspector._stage.getObjectsUnderPoint(evt.stageX, evt.stageY).filter((candidate) => {
+      return !inspector._isInspectorObject(candidate) && (!this._filters || inspector._checkFilters(candidate, this._filters));
+    })[0];
+
+    if (obj && obj.parent) {
+      this._track(obj);
+      this._drag = {
+        obj,
+        start: obj.parent.globalToLocal(evt.stageX, evt.stageY),
+        x:     obj.x,
+        y:     obj.y,
+      };
+      inspector.select(obj);
+    }
+  }
+
+  /**
+   * Event handler for moving the dragged DisplayObject with the mouse
+   * @access private
+   * @param {!MouseEvent} evt - createjs stagemousemove event
+   */
+  _onMove(evt) {
+    const drag = this._drag;
+    if (drag) {
+      const pos = drag.obj.parent.globalToLocal(evt.stageX, evt.stageY);
+      drag.obj.x = drag.x + pos.x - drag.start.x;
+      drag.obj.y = drag.y + pos.y - drag.start.y;
+      this._inspector._redrawStage();
+    }
+  }
+
+  /**
+   * Event handler for finishing a drag, which records the move as an edit so it can be undone or exported
+   * @access private
+   */
+  _onUp() {
+    const drag = this._drag;
+    if (drag) {
+      this._drag = null;
+      this._commit(drag.obj, drag.x, drag.y, drag.obj.x, drag.obj.y);
+    }
+  }
+
+  /**
+   * Event handler for nudging the selected DisplayObject 1 stage pixel with the arrow keys, or 10 stage pixels while shift is held.  Keys pressed while typing in an input are left alone.  Hover inspect leaves the arrow keys to this while both are enabled.
+   * @access private
+   * @param {!KeyboardEvent} evt - DOM keydown event
+   */
+  _onKeyDown(evt) {
+    const obj = this._inspector.selected;
+    const offsets = {
+      ArrowLeft:  [ -1, 0 ],
+      ArrowRight: [ 1, 0 ],
+      ArrowUp:    [ 0, -1 ],
+      ArrowDown:  [ 0, 1 ],
+    };
+    if (!obj || !obj.parent || !offsets[evt.key] || this._drag || this._inspector._isTypingEvent(evt)) {
+      return;
+    }
+
+    evt.preventDefault();
+    const distance = evt.shiftKey ? 10 : 1;
+    const parent = obj.parent;
+    const globalPos = parent.localToGlobal(obj.x, obj.y);
+    const pos = parent.globalToLocal(globalPos.x + offsets[evt.key][0] * distance, globalPos.y + offsets[evt.key][1] * distance);
+
+    this._track(obj);
+    this._commit(obj, obj.x, obj.y, pos.x, pos.y);
+  }
+
+  /**
+   * Records a move as one edit of x and y, so it is undone in one step
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject that moved
+   * @param {!number} fromX - local x position before the move
+   * @param {!number} fromY - local y position before the move
+   * @param {!number} toX - local x position after the move
+   * @param {!number} toY - local y position after the move
+   */
+  _commit(obj, fromX, fromY, toX, toY) {
+    obj.x = fromX;
+    obj.y = fromY;
+    this._inspector._applyEdit(obj, { x: toX, y: toY });
+  }
+
+  /**
+   * Draws the distance each moved DisplayObject is from its original position
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _draw(container) {
+    this._moved.forEach((entry) => {
+      const obj = entry.obj;
+      if (!obj.parent || (obj.x === entry.x && obj.y === entry.y)) {
+        return;
+      }
+
+      const from = obj.parent.localToGlobal(entry.x, entry.y);
+      const to = obj.parent.localToGlobal(obj.x, obj.y);
+      const shape = new createjs.Shape();
+      shape.name = 'si_drag_' + obj.id;
+      shape.graphics
+        .setStrokeStyle(1)
+        .setStrokeDash([3, 3])
+        .beginStroke(DragMode.COLOR)
+        .moveTo(from.x, from.y)
+        .lineTo(to.x, to.y)
+        .setStrokeDash(null)
+        .drawCircle(from.x, from.y, 3);
+      container.addChild(shape);
+
+      const text = new createjs.Text('\u0394 ' + (obj.x - entry.x).toFixed(3) + ',' + (obj.y - entry.y).toFixed(3), undefined, DragMode.COLOR);
+      text.name = 'si_dragDelta_' + obj.id;
+      text.x = to.x + 6;
+      text.y = to.y + 6;
+      container.addChild(text);
+    });
+  }
+}
+
+/**
+ * color for drawing the distance moved
+ * @access public
+ */
+DragMode.COLOR = '#ff6600';
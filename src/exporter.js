@@ -0,0 +1,180 @@
+/**
+ * Exports the stage and the stage inspector's overlay as files that can be attached to bug reports: a PNG screenshot, or an SVG diagram of the layout that keeps the ids and names of the DisplayObjects so it can be searched and diffed
+ */
+export default class Exporter {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage is exported
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage is exported
+     * @access private
+     */
+    this._inspector = inspector;
+  }
+
+  /**
+   * Draws the stage, along with the overlay if it is showing, into a new canvas and converts it to a PNG.  When the overlay is drawn in its own canvas, that canvas is drawn over the stage.
+   * @access public
+   * @param {!object} options - scale (multiplier for the stage's canvas size), overlay (false to leave out the overlay), and download (true or a file name to also save the PNG)
+   * @return {string} PNG data URL, or null if the canvas can't be exported
+   */
+  toImage(options) {
+    const inspector = this._inspector;
+    const stage = inspector._stage;
+    const scale = options.scale || 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(stage.canvas.width * scale);
+    canvas.height = Math.round(stage.canvas.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    // draw without updating so the stage doesn't tick, which could alter the state of what is trying to be debugged
+    const container = inspector._container;
+    const visible = container.visible;
+    container.visible = visible && options.overlay !== false;
+    ctx.save();
+    stage.updateContext(ctx);
+    stage.draw(ctx, false);
+    ctx.restore();
+    container.visible = visible;
+    if (inspector._overlayCanvas && options.overlay !== false) {
+      ctx.drawImage(inspector._overlayCanvas.canvas, 0, 0, stage.canvas.width, stage.canvas.height);
+    }
+
+    let url;
+    try {
+      url = canvas.toDataURL('image/png');
+    }
+    catch (err) {
+      // images from other origins without CORS taint the canvas
+      console.log('Unable to export the stage as an image: ' + err.message);
+      return null;
+    }
+
+    if (options.download) {
+      this._download(url, options.download === true ? Exporter.IMAGE_FILE_NAME : options.download);
+    }
+
+    return url;
+  }
+
+  /**
+   * Creates an SVG diagram of the layout of the stage's DisplayObjects, with their bounds, registration points, and labels in the colors the overlay uses for their nesting level.  Each DisplayObject is a group with its id, name, type, parent id, and visibility as attributes.
+   * @access public
+   * @param {?Array} filters - filter array where only DisplayObjects that match at least one filter are included, or null for all of them
+   * @param {(boolean|string)} download - true or a file name to also save the SVG
+   * @return {string} the SVG markup
+   */
+  toSVG(filters, download) {
+    const inspector = this._inspector;
+    const canvas = inspector._stage.canvas;
+    const lines = [
+      '<svg xmlns="http://www.w3.org/2000/svg" width="' + canvas.width + '" height="' + canvas.height + '" viewBox="0 0 ' + canvas.width + ' ' + canvas.height + '" font-family="sans-serif" font-size="10">',
+    ];
+    inspector._stage.children.forEach((child) => {
+      this._addObject(lines, child, 0, filters);
+    });
+    lines.push('</svg>');
+    const svg = lines.join('\n') + '\n';
+
+    if (download) {
+      this._download('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg), download === true ? Exporter.SVG_FILE_NAME : download);
+    }
+
+    return svg;
+  }
+
+  /**
+   * Recursively adds the SVG elements for obj and its children.  Children are added first so they are behind their parent, the same as in the overlay.
+   * @access private
+   * @param {!string[]} lines - lines of SVG markup to add to
+   * @param {!DisplayObject} obj - DisplayObject to add
+   * @param {!int} nestLevel - 0-based nesting level of obj
+   * @param {?Array} filters - filter array from toSVG
+   */
+  _addObject(lines, obj, nestLevel, filters) {
+    const inspector = this._inspector;
+    if (obj === inspector._container) {
+      return;
+    }
+
+    if (obj.children) {
+      obj.children.forEach((child) => {
+        this._addObject(lines, child, nestLevel + 1, filters);
+      });
+    }
+
+    const bounds = inspector._getObjectBounds(obj);
+    if (!bounds || (filters && !inspector._checkFilters(obj, filters))) {
+      return;
+    }
+
+    const color = this._escape(inspector._getNestColor(nestLevel));
+    const globalBounds = inspector._getGlobalBounds(obj, bounds);
+    const globalPos = obj.parent.localToGlobal(obj.x, obj.y);
+    const x = this._format(globalPos.x);
+    const y = this._format(globalPos.y);
+    const label = '#' + obj.id + (obj.name ? ' ' + obj.name : '');
+
+    lines.push('  <g data-id="' + obj.id + '" data-name="' + this._escape(obj.name) + '" data-type="' + inspector._getObjectType(obj) + '" data-parent-id="' + obj.parent.id + '" data-visible="' + obj.visible + '">');
+    lines.push('    <rect x="' + this._format(globalBounds.x) + '" y="' + this._format(globalBounds.y) + '" width="' + this._format(globalBounds.width) + '" height="' + this._format(globalBounds.height) + '" fill="none" stroke="' + color + '"/>');
+    lines.push('    <path d="M' + this._format(globalPos.x - 4) + ' ' + y + 'H' + this._format(globalPos.x + 4) + 'M' + x + ' ' + this._format(globalPos.y - 4) + 'V' + this._format(globalPos.y + 4) + '" stroke="' + color + '"/>');
+    lines.push('    <text x="' + this._format(globalBounds.x + 2) + '" y="' + this._format(globalBounds.y + 10) + '" fill="' + color + '">' + this._escape(label) + '</text>');
+    lines.push('    <text x="' + this._format(globalPos.x + 2) + '" y="' + this._format(globalPos.y - 2) + '" fill="' + color + '">reg ' + this._format(obj.regX) + ',' + this._format(obj.regY) + '</text>');
+    lines.push('  </g>');
+  }
+
+  /**
+   * Formats a number for SVG markup, rounded to 3 decimal places like the overlay's labels
+   * @access private
+   * @param {!number} value - number to format
+   * @return {string} the formatted number
+   */
+  _format(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  /**
+   * Escapes text for use in SVG markup, both as an attribute value and as element content
+   * @access private
+   * @param {*} value - value to escape, where null and undefined become an empty string
+   * @return {string} the escaped text
+   */
+  _escape(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Saves a URL as a file by clicking a temporary download link
+   * @access private
+   * @param {!string} url - URL to save
+   * @param {!string} fileName - name to save it as
+   */
+  _download(url, fileName) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+}
+
+/**
+ * file name for downloaded images when none is given
+ * @access public
+ */
+Exporter.IMAGE_FILE_NAME = 'stage.png';
+
+/**
+ * file name for downloaded SVG diagrams when none is given
+ * @access public
+ */
+Exporter.SVG_FILE_NAME = 'stage.svg';
@@ -0,0 +1,333 @@
+/**
+ * Records the layout of the stage's DisplayObjects for each of the most recent stage redraws, so glitches that only last a few frames can be frozen, stepped through, and dumped after the fact
+ */
+export default class FrameHistory {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage is recorded
+   * @param {!int} size - number of frames to keep, after which the oldest are dropped
+   */
+  constructor(inspector, size) {
+    this._onDrawStart = this._onDrawStart.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    /**
+     * inspector whose stage is recorded
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * number of frames to keep
+     * @access private
+     */
+    this._size = Math.max(1, size);
+
+    /**
+     * recorded frames in a ring buffer, where _next is the index the next frame is written to
+     * @access private
+     */
+    this._frames = [];
+
+    /**
+     * index in _frames that the next frame is written to
+     * @access private
+     */
+    this._next = 0;
+
+    /**
+     * number of frames recorded since the recording started, including ones that were dropped
+     * @access private
+     */
+    this._count = 0;
+
+    /**
+     * time the recording started, from performance.now
+     * @access private
+     */
+    this._startTime = 0;
+
+    /**
+     * number of frames before the newest one that the overlay shows while frozen, or null if not frozen
+     * @access private
+     */
+    this._framesAgo = null;
+  }
+
+  /**
+   * Starts recording a frame each time the stage redraws
+   * @access public
+   */
+  start() {
+    this._startTime = this._now();
+    this._inspector._stage.addEventListener('drawstart', this._onDrawStart);
+  }
+
+  /**
+   * Stops recording and unfreezes.  The recorded frames are kept so they can still be dumped.
+   * @access public
+   */
+  stop() {
+    this._inspector._stage.removeEventListener('drawstart', this._onDrawStart);
+    this.resume();
+  }
+
+  /**
+   * Retrieves the number of frames that are kept
+   * @access public
+   * @return {int} the number of recorded frames available
+   */
+  get length() {
+    return this._frames.length;
+  }
+
+  /**
+   * Retrieves the number of frames before the newest one that the overlay shows
+   * @access public
+   * @return {int} the number of frames ago, or null if not frozen
+   */
+  get framesAgo() {
+    return this._framesAgo;
+  }
+
+  /**
+   * Retrieves a recorded frame
+   * @access public
+   * @param {!int} framesAgo - 0 for the newest frame, 1 for the one before it, and so on
+   * @return {object} the frame, or null if there isn't one that long ago.  It has the frame number (counting from 0 when the recording started), time in milliseconds since the recording started, the id of the stage (rootId), and the DisplayObject records by id.
+   */
+  getFrame(framesAgo) {
+    if (framesAgo < 0 || framesAgo >= this._frames.length) {
+      return null;
+    }
+
+    const index = (this._next - 1 - framesAgo + this._frames.length * 2) % this._frames.length;
+    return this._frames[index];
+  }
+
+  /**
+   * Stops recording new frames and shows a recorded frame's bounds in the overlay instead.  While frozen, the comma and period keys step to older and newer frames.
+   * @access public
+   * @param {!int} framesAgo - frame to show, where 0 is the newest frame
+   * @return {object} the frame shown, or null if there are no recorded frames
+   */
+  freeze(framesAgo) {
+    if (this._frames.length === 0) {
+      return null;
+    }
+
+    if (this._framesAgo === null) {
+      window.addEventListener('keydown', this._onKeyDown);
+      this._inspector._setOverlayDrawer('history', (container) => {
+        this._draw(container);
+      });
+    }
+    this._framesAgo = Math.max(0, Math.min(this._frames.length - 1, framesAgo));
+    this._inspector._redrawStage();
+
+    return this.getFrame(this._framesAgo);
+  }
+
+  /**
+   * Moves the frame shown while frozen, freezing on the newest frame first if not frozen
+   * @access public
+   * @param {!int} delta - number of frames to move, where negative numbers go back in time
+   * @return {object} the frame shown, or null if there are no recorded frames
+   */
+  step(delta) {
+    return this.freeze((this._framesAgo === null ? 0 : this._framesAgo) - delta);
+  }
+
+  /**
+   * Goes back to recording new frames and removes the recorded frame from the overlay
+   * @access public
+   */
+  resume() {
+    if (this._framesAgo === null) {
+      return;
+    }
+
+    window.removeEventListener('keydown', this._onKeyDown);
+    this._framesAgo = null;
+    this._inspector._setOverlayDrawer('history', null);
+    this._inspector._redrawStage();
+  }
+
+  /**
+   * Retrieves the current time in milliseconds
+   * @access private
+   * @return {number} the time
+   */
+  _now() {
+    return window.performance ? window.performance.now() : Date.now();
+  }
+
+  /**
+   * Event handler for recording a frame as the stage starts to redraw
+   * @access private
+   */
+  _onDrawStart() {
+    // redraws while frozen are just the overlay changing, not the frames being looked for
+    if (this._framesAgo !== null) {
+      return;
+    }
+
+    const records = {};
+    this._recordObject(this._inspector._stage, null, records);
+    this._frames[this._next] = {
+      frame:  this._count,
+      time:   this._now() - this._startTime,
+      rootId: this._inspector._stage.id,
+      records,
+    };
+    this._next = (this._next + 1) % this._size;
+    this._count++;
+  }
+
+  /**
+   * Recursively records the layout state of obj and its children
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to record
+   * @param {Matrix2D} parentMatrix - concatenated matrix of obj's parent, or null for the stage
+   * @param {!object} records - map of DisplayObject id to record to add to
+   */
+  _recordObject(obj, parentMatrix, records) {
+    const matrix = obj.getMatrix();
+    if (parentMatrix) {
+      matrix.prependMatrix(parentMatrix);
+    }
+    const bounds = this._inspector._getObjectBounds(obj);
+    const children = obj.children ? obj.children.filter((child) => child !== this._inspector._container) : null;
+
+    records[obj.id] = {
+      ref:      obj,
+      id:       obj.id,
+      name:     obj.name,
+      parentId: obj.parent ? obj.parent.id : null,
+      childIds: children ? children.map((child) => child.id) : null,
+      visible:  obj.visible,
+      alpha:    obj.alpha,
+      x:        obj.x,
+      y:        obj.y,
+      regX:     obj.regX,
+      regY:     obj.regY,
+      scaleX:   obj.scaleX,
+      scaleY:   obj.scaleY,
+      rotation: obj.rotation,
+      skewX:    obj.skewX,
+      skewY:    obj.skewY,
+      bounds:   bounds ? bounds.clone() : null,
+      matrix,
+    };
+
+    if (children) {
+      children.forEach((child) => {
+        this._recordObject(child, matrix, records);
+      });
+    }
+  }
+
+  /**
+   * Checks if a DisplayObject's layout is different in two recorded frames
+   * @access private
+   * @param {!object} record - the DisplayObject's record in one frame
+   * @param {object} other - the DisplayObject's record in the other frame, or null if it wasn't recorded in it
+   * @return {boolean} true if its visibility, matrix, or bounds differ
+   */
+  _hasChanged(record, other) {
+    if (!other) {
+      return true;
+    }
+
+    const same = (a, b, props) => props.every((prop) => a[prop] === b[prop]);
+    const boundsEqual = record.bounds && other.bounds ? same(record.bounds, other.bounds, [ 'x', 'y', 'width', 'height' ]) : record.bounds === other.bounds;
+
+    return record.visible !== other.visible || record.alpha !== other.alpha || !boundsEqual || !same(record.matrix, other.matrix, [ 'a', 'b', 'c', 'd', 'tx', 'ty' ]);
+  }
+
+  /**
+   * Event handler for the keyboard shortcuts to step through the frames while frozen.  Comma steps back to an older frame and period steps forward to a newer one.  Keys typed into inputs are left alone.
+   * @access private
+   * @param {!KeyboardEvent} evt - DOM keydown event
+   */
+  _onKeyDown(evt) {
+    if (this._inspector._isTypingEvent(evt)) {
+      return;
+    }
+
+    if (evt.key === ',') {
+      this.step(-1);
+    }
+    else if (evt.key === '.') {
+      this.step(1);
+    }
+    else {
+      return;
+    }
+
+    evt.preventDefault();
+  }
+
+  /**
+   * Draws the bounds of each visible DisplayObject in the frame being shown, in the nest color of its depth, with ones that changed since the frame before it outlined in CHANGED_COLOR
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _draw(container) {
+    const frame = this.getFrame(this._framesAgo);
+    if (!frame) {
+      return;
+    }
+
+    const previous = this.getFrame(this._framesAgo + 1);
+    const shape = new createjs.Shape();
+    shape.name = 'si_history';
+    const g = shape.graphics;
+    const visit = (record, nestLevel) => {
+      if (!record.visible) {
+        return;
+      }
+
+      if (record.bounds && record.id !== frame.rootId) {
+        const changed = !!previous && this._hasChanged(record, previous.records[record.id]);
+        const bounds = record.bounds;
+        const corners = [
+          record.matrix.transformPoint(bounds.x, bounds.y),
+          record.matrix.transformPoint(bounds.x + bounds.width, bounds.y),
+          record.matrix.transformPoint(bounds.x + bounds.width, bounds.y + bounds.height),
+          record.matrix.transformPoint(bounds.x, bounds.y + bounds.height),
+        ];
+        g.setStrokeStyle(changed ? 3 : 1).beginStroke(changed ? FrameHistory.CHANGED_COLOR : this._inspector._getNestColor(nestLevel));
+        g.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach((corner) => {
+          g.lineTo(corner.x, corner.y);
+        });
+        g.closePath().endStroke();
+      }
+
+      (record.childIds || []).forEach((id) => {
+        visit(frame.records[id], nestLevel + 1);
+      });
+    };
+    visit(frame.records[frame.rootId], -1);
+    container.addChild(shape);
+
+    const text = new createjs.Text('frame ' + frame.frame + ' (' + this._framesAgo + ' ago) at ' + Math.round(frame.time) + 'ms', 'bold 12px sans-serif', FrameHistory.CHANGED_COLOR);
+    text.name = 'si_historyText';
+    text.x = 4;
+    text.y = 4;
+    container.addChild(text);
+  }
+}
+
+/**
+ * number of frames kept when no size is given, which is about 2 seconds at 60 fps
+ * @access public
+ */
+FrameHistory.DEFAULT_SIZE = 120;
+
+/**
+ * color for outlining DisplayObjects that changed since the frame before the one shown, and for the frame label
+ * @access public
+ */
+FrameHistory.CHANGED_COLOR = '#ff6600';
@@ -0,0 +1,277 @@
+/**
+ * Explains which DisplayObject receives a mouse event at a point, and what keeps the intended DisplayObject from receiving it
+ */
+export default class HitExplainer {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's DisplayObjects are explained
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage's DisplayObjects are explained
+     * @access private
+     */
+    this._inspector = inspector;
+  }
+
+  /**
+   * Starts explaining each mouse press on the stage.  Mouse events are not blocked, so the press still reaches the stage's DisplayObjects as usual.
+   * @access public
+   */
+  enable() {
+    this._downListener = this._inspector._stage.on('stagemousedown', this._onDown, this);
+  }
+
+  /**
+   * Stops explaining mouse presses
+   * @access public
+   */
+  disable() {
+    this._inspector._stage.off('stagemousedown', this._downListener);
+  }
+
+  /**
+   * Explains whether a DisplayObject would receive a mouse event at a point
+   * @access public
+   * @param {DisplayObject} target - the DisplayObject that is meant to receive the event, or null for the topmost DisplayObject drawn at the point
+   * @param {object} point - x and y in the stage's coordinate space, or null for the center of target's bounds
+   * @return {object} the explanation, with the point, target, the DisplayObject that receives the event (receiver, or null), whether target gets the event (reached, which includes it bubbling up from a descendant), the chain from target up to the stage, the reasons the event is blocked, and a plain summary
+   */
+  explain(target, point) {
+    const inspector = this._inspector;
+    if (!point) {
+      const bounds = inspector._getObjectBounds(target);
+      if (bounds) {
+        const globalBounds = inspector._getGlobalBounds(target, bounds);
+        point = { x: globalBounds.x + globalBounds.width / 2, y: globalBounds.y + globalBounds.height / 2 };
+      }
+      else {
+        point = target.localToGlobal(target.regX, target.regY);
+      }
+    }
+    if (!target) {
+      target = inspector._stage.getObjectsUnderPoint(point.x, point.y, 0).filter((obj) => !inspector._isInspectorObject(obj))[0] || null;
+    }
+
+    const receiver = this._getReceiver(point);
+    const chain = [];
+    for (let cur = target; cur; cur = cur.parent) {
+      chain.push(this._describe(cur, point));
+    }
+
+    const reached = !!target && !!receiver && this._isAncestorOrSelf(target, receiver);
+    const reasons = target ? this._getReasons(target, chain, receiver, point, reached) : [];
+    let summary;
+    if (!target) {
+      summary = 'Nothing is drawn at ' + point.x + ',' + point.y + (receiver ? ', but ' + inspector._getObjectDisplayName(receiver) + ' receives the event' : ' and nothing receives the event');
+    }
+    else if (reached) {
+      summary = receiver === target ? inspector._getObjectDisplayName(target) + ' receives the event' : inspector._getObjectDisplayName(receiver) + ' receives the event, and it bubbles up to ' + inspector._getObjectDisplayName(target);
+      if (!chain.some((entry) => this._hasListener(entry.listeners, HitExplainer.PRESS_EVENTS))) {
+        summary += ', but neither it nor its ancestors have click or mousedown listeners';
+      }
+    }
+    else {
+      summary = (receiver ? inspector._getObjectDisplayName(receiver) : 'Nothing') + ' receives the event instead of ' + inspector._getObjectDisplayName(target) + (reasons.length > 0 ? ' because ' + reasons[0] : '');
+    }
+
+    return { point, target, receiver, reached, chain, reasons, summary };
+  }
+
+  /**
+   * Event handler for explaining the topmost DisplayObject drawn under the mouse
+   * @access private
+   * @param {!MouseEvent} evt - createjs stagemousedown event
+   */
+  _onDown(evt) {
+    this._inspector._dumpHitExplanation(this.explain(null, { x: evt.stageX, y: evt.stageY }));
+  }
+
+  /**
+   * Finds the DisplayObject that the stage sends mouse events at a point to, the same way the stage does
+   * @access private
+   * @param {!object} point - x and y in the stage's coordinate space
+   * @return {DisplayObject} the DisplayObject, or null if there isn't one
+   */
+  _getReceiver(point) {
+    const container = this._inspector._container;
+    const mouseEnabled = container.mouseEnabled;
+    container.mouseEnabled = false;
+    try {
+      return this._inspector._stage._getObjectsUnderPoint(point.x, point.y, null, true) || null;
+    }
+    finally {
+      container.mouseEnabled = mouseEnabled;
+    }
+  }
+
+  /**
+   * Checks if a DisplayObject is another DisplayObject or one of its ancestors
+   * @access private
+   * @param {!DisplayObject} ancestor - possible ancestor
+   * @param {!DisplayObject} obj - DisplayObject to check the ancestors of
+   * @return {boolean} true if ancestor is obj or one of its ancestors
+   */
+  _isAncestorOrSelf(ancestor, obj) {
+    for (let cur = obj; cur; cur = cur.parent) {
+      if (cur === ancestor) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Describes the settings of a DisplayObject that affect whether it and its descendants receive mouse events
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to describe
+   * @param {!object} point - x and y in the stage's coordinate space
+   * @return {object} the description, with the DisplayObject (object), visible, alpha, mouseEnabled, mouseChildren (null if it isn't a Container), whether it has a hitArea and mask, whether the point is within its mask (inMask), the siblings drawn above it at the point (siblingsOnTop), and its listeners (bubble and capture, each a map of event type to number of listeners)
+   */
+  _describe(obj, point) {
+    const inspector = this._inspector;
+    const siblingsOnTop = [];
+    if (obj.parent) {
+      const siblings = obj.parent.children;
+      siblings.slice(siblings.indexOf(obj) + 1).forEach((sibling) => {
+        if (sibling !== inspector._container && sibling.isVisible() && this._isDrawnAt(sibling, point)) {
+          siblingsOnTop.push(sibling);
+        }
+      });
+    }
+
+    return {
+      object:        obj,
+      visible:       obj.visible,
+      alpha:         obj.alpha,
+      mouseEnabled:  obj.mouseEnabled,
+      mouseChildren: obj.children ? obj.mouseChildren : null,
+      hitArea:       !!obj.hitArea,
+      mask:          !!obj.mask,
+      inMask:        !obj.mask || !obj.parent || obj.parent._testMask(obj, point.x, point.y),
+      siblingsOnTop,
+      listeners:     {
+        bubble:  this._countListeners(obj._listeners),
+        capture: this._countListeners(obj._captureListeners),
+      },
+    };
+  }
+
+  /**
+   * Counts the listeners of an EventDispatcher by event type
+   * @access private
+   * @param {object} listeners - the EventDispatcher's _listeners or _captureListeners
+   * @return {object} map of event type to number of listeners
+   */
+  _countListeners(listeners) {
+    const back = {};
+    Object.keys(listeners || {}).forEach((type) => {
+      if (listeners[type] && listeners[type].length > 0) {
+        back[type] = listeners[type].length;
+      }
+    });
+
+    return back;
+  }
+
+  /**
+   * Checks if a chain entry has listeners for any of a set of event types
+   * @access private
+   * @param {!object} listeners - listeners from _describe
+   * @param {!string[]} types - event types to look for
+   * @return {boolean} true if there is a bubble or capture listener for one of the types
+   */
+  _hasListener(listeners, types) {
+    return types.some((type) => !!listeners.bubble[type] || !!listeners.capture[type]);
+  }
+
+  /**
+   * Checks if a DisplayObject, or its hitArea if it has one, is drawn at a point, ignoring its mouse settings
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @param {!object} point - x and y in the stage's coordinate space
+   * @return {boolean} true if it is drawn at the point
+   */
+  _isDrawnAt(obj, point) {
+    const local = obj.globalToLocal(point.x, point.y);
+    if (obj.hitArea) {
+      const hitPoint = obj.hitArea.getMatrix().invert().transformPoint(local.x, local.y);
+      return obj.hitArea.hitTest(hitPoint.x, hitPoint.y);
+    }
+
+    return obj.hitTest(local.x, local.y);
+  }
+
+  /**
+   * Finds the reasons why a mouse event at a point doesn't reach a DisplayObject
+   * @access private
+   * @param {!DisplayObject} target - the DisplayObject that is meant to receive the event
+   * @param {!object[]} chain - descriptions from _describe of target and its ancestors
+   * @param {DisplayObject} receiver - the DisplayObject that receives the event
+   * @param {!object} point - x and y in the stage's coordinate space
+   * @param {!boolean} reached - whether target receives the event
+   * @return {string[]} the reasons, most direct first
+   */
+  _getReasons(target, chain, receiver, point, reached) {
+    if (reached) {
+      return [];
+    }
+
+    const inspector = this._inspector;
+    const reasons = [];
+    chain.forEach((entry, i) => {
+      const name = (i === 0 ? '' : 'its ancestor ') + inspector._getObjectDisplayName(entry.object);
+      if (!entry.visible) {
+        reasons.push(name + ' is not visible');
+      }
+      else if (!entry.hitArea && entry.alpha <= 0) {
+        reasons.push(name + ' has an alpha of 0, and only DisplayObjects with a hitArea are hit tested without alpha');
+      }
+      else if (!entry.hitArea && (entry.object.scaleX === 0 || entry.object.scaleY === 0)) {
+        reasons.push(name + ' has a scale of 0');
+      }
+      if (!entry.mouseEnabled && entry.object !== inspector._stage) {
+        reasons.push(name + ' has mouseEnabled set to false' + (i === 0 ? '' : ', which blocks all of its descendants'));
+      }
+      if (i > 0 && entry.mouseChildren === false) {
+        reasons.push(name + ' has mouseChildren set to false, so it receives events for its descendants instead of them');
+      }
+      if (!entry.inMask) {
+        reasons.push('the point is outside of the mask of ' + name);
+      }
+    });
+
+    if (!this._isDrawnAt(target, point)) {
+      reasons.push(target.hitArea ? 'the point is outside of its hitArea' : 'nothing in it is drawn at the point, so giving it a hitArea could help');
+    }
+
+    if (receiver && !this._isAncestorOrSelf(receiver, target)) {
+      chain.forEach((entry) => {
+        entry.siblingsOnTop.forEach((sibling) => {
+          if (this._isAncestorOrSelf(sibling, receiver)) {
+            reasons.push(inspector._getObjectDisplayName(sibling) + ' is above ' + inspector._getObjectDisplayName(entry.object) + ' in the display list and covers the point');
+          }
+        });
+      });
+    }
+
+    if (reasons.length === 0 && !chain.some((entry) => this._hasListener(entry.listeners, HitExplainer.MOUSE_EVENTS))) {
+      reasons.push('neither it nor its ancestors have mouse listeners, and the stage only hit tests DisplayObjects with mouse listeners on them or an ancestor');
+    }
+
+    return reasons;
+  }
+}
+
+/**
+ * mouse event types that the stage checks for when deciding which DisplayObjects to hit test
+ * @access public
+ */
+HitExplainer.MOUSE_EVENTS = [ 'click', 'dblclick', 'mousedown', 'mouseout', 'mouseover', 'pressmove', 'pressup', 'rollout', 'rollover' ];
+
+/**
+ * event types that are typically listened for to respond to a press
+ * @access public
+ */
+HitExplainer.PRESS_EVENTS = [ 'click', 'mousedown', 'pressup' ];
@@ -0,0 +1,268 @@
+import HitExplainer from './hitExplainer';
+
+/**
+ * Draws the regions of the stage's DisplayObjects that respond to the mouse, which can differ from their bounds because of hitAreas, transparent pixels, and mouseEnabled
+ */
+export default class HitRegions {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's DisplayObjects are drawn
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage's DisplayObjects are drawn
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * tinted copies of Bitmap images drawn by _drawTintedImage, by image, each with the src they were made from and the tinted canvases by color and source rect
+     * @access private
+     */
+    this._tintedImages = new WeakMap();
+  }
+
+  /**
+   * Finds the DisplayObjects with press listeners whose hit region is smaller than the inspector's minHitSize in either direction
+   * @access public
+   * @return {object[]} the small hit targets, each with the DisplayObject (object) and the width and height of its hit region in stage pixels
+   */
+  getSmallTargets() {
+    return this._getTargets().filter((entry) => {
+      return entry.bounds.width < this._inspector.minHitSize || entry.bounds.height < this._inspector.minHitSize;
+    }).map((entry) => ({ object: entry.object, width: entry.bounds.width, height: entry.bounds.height }));
+  }
+
+  /**
+   * Checks if a DisplayObject has listeners for any of the mouse events the stage hit tests for
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @param {!string[]} types - event types to check for
+   * @return {boolean} true if it has a listener for one of the types
+   */
+  _hasListener(obj, types) {
+    return types.some((type) => obj.hasEventListener(type));
+  }
+
+  /**
+   * Finds the DisplayObjects with press listeners that can receive mouse events, along with the axis aligned rectangle containing their hit region in the stage's coordinate space
+   * @access private
+   * @return {object[]} the targets, each with the DisplayObject (object) and bounds
+   */
+  _getTargets() {
+    const back = [];
+    const visit = (obj) => {
+      if (obj === this._inspector._container || !obj.visible || !obj.mouseEnabled) {
+        return;
+      }
+
+      if (obj !== this._inspector._stage && this._hasListener(obj, HitExplainer.PRESS_EVENTS)) {
+        const bounds = this._getHitBounds(obj);
+        if (bounds) {
+          back.push({ object: obj, bounds });
+        }
+      }
+      if (obj.children && !obj.hitArea) {
+        obj.children.forEach(visit);
+      }
+    };
+    visit(this._inspector._stage);
+
+    return back;
+  }
+
+  /**
+   * Retrieves the axis aligned rectangle containing a DisplayObject's hit region in the stage's coordinate space
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to get the hit region of
+   * @return {object} x, y, width, and height, or null if the bounds are unavailable
+   */
+  _getHitBounds(obj) {
+    const inspector = this._inspector;
+    const hitArea = obj.hitArea;
+    if (!hitArea) {
+      const bounds = inspector._getObjectBounds(obj);
+      return bounds ? inspector._getGlobalBounds(obj, bounds) : null;
+    }
+
+    const bounds = inspector._getObjectBounds(hitArea);
+    if (!bounds) {
+      return null;
+    }
+
+    // the hitArea's transform is relative to obj
+    const mtx = hitArea.getMatrix();
+    const corners = [
+      [ bounds.x, bounds.y ],
+      [ bounds.x + bounds.width, bounds.y ],
+      [ bounds.x + bounds.width, bounds.y + bounds.height ],
+      [ bounds.x, bounds.y + bounds.height ],
+    ].map((corner) => {
+      const local = mtx.transformPoint(corner[0], corner[1]);
+      return obj.localToGlobal(local.x, local.y);
+    });
+    const xs = corners.map((pt) => pt.x);
+    const ys = corners.map((pt) => pt.y);
+    const minX = Math.min.apply(null, xs);
+    const minY = Math.min.apply(null, ys);
+
+    return {
+      x:      minX,
+      y:      minY,
+      width:  Math.max.apply(null, xs) - minX,
+      height: Math.max.apply(null, ys) - minY,
+    };
+  }
+
+  /**
+   * Draws the hit region of each DisplayObject that can be hit tested, filled in the interactive color if the stage would send it mouse events or the inactive color if mouseEnabled blocks them.  Subtrees blocked by mouseEnabled are outlined, and press targets smaller than minHitSize are outlined and labeled.
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _draw(container) {
+    const inspector = this._inspector;
+    const colors = inspector.hitRegionColors;
+
+    const visit = (obj, blocked, listening) => {
+      if (obj === inspector._container || !obj.visible || (!obj.hitArea && !obj.isVisible())) {
+        return;
+      }
+
+      listening = listening || this._hasListener(obj, HitExplainer.MOUSE_EVENTS);
+      if (!blocked && !obj.mouseEnabled && obj !== inspector._stage) {
+        blocked = true;
+        this._drawBlockedSubtree(container, obj);
+      }
+
+      if (obj.children && !obj.hitArea) {
+        obj.children.forEach((child) => {
+          visit(child, blocked, listening);
+        });
+      }
+      else if (blocked || listening) {
+        this._drawRegion(container, obj, blocked ? colors.inactive : colors.interactive);
+      }
+    };
+    visit(inspector._stage, false, false);
+
+    this.getSmallTargets().forEach((entry) => {
+      const bounds = this._getHitBounds(entry.object);
+      const shape = new createjs.Shape();
+      shape.name = 'si_hitSmall_' + entry.object.id;
+      shape.graphics.setStrokeStyle(2).beginStroke(colors.small).drawRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      container.addChild(shape);
+
+      const text = new createjs.Text(Math.round(entry.width) + 'x' + Math.round(entry.height) + ' < ' + inspector.minHitSize, 'bold 10px sans-serif', colors.small);
+      text.name = 'si_hitSmallText_' + entry.object.id;
+      text.x = bounds.x;
+      text.y = bounds.y + bounds.height + 2;
+      container.addChild(text);
+    });
+  }
+
+  /**
+   * Outlines a subtree whose mouse events are blocked by its root's mouseEnabled being false
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {!DisplayObject} obj - root of the subtree
+   */
+  _drawBlockedSubtree(container, obj) {
+    const bounds = this._inspector._getObjectBounds(obj);
+    if (!bounds) {
+      return;
+    }
+
+    const globalBounds = this._inspector._getGlobalBounds(obj, bounds);
+    const color = this._inspector.hitRegionColors.inactive;
+    const shape = new createjs.Shape();
+    shape.name = 'si_hitBlocked_' + obj.id;
+    shape.graphics.setStrokeStyle(1).setStrokeDash([4, 4]).beginStroke(color).drawRect(globalBounds.x, globalBounds.y, globalBounds.width, globalBounds.height);
+    container.addChild(shape);
+
+    const text = new createjs.Text('mouseEnabled=false', '10px sans-serif', color);
+    text.name = 'si_hitBlockedText_' + obj.id;
+    text.x = globalBounds.x + 2;
+    text.y = globalBounds.y + 2;
+    container.addChild(text);
+  }
+
+  /**
+   * Adds a DisplayObject that fills the hit region of another DisplayObject: its hitArea, the filled path of a Shape, the opaque pixels of a Bitmap, the glyphs of a Text, or otherwise its bounds
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {!DisplayObject} obj - DisplayObject to fill the hit region of
+   * @param {!string} color - fill color, which should be semi-transparent
+   */
+  _drawRegion(container, obj, color) {
+    const source = obj.hitArea || obj;
+    const mtx = obj.getConcatenatedMatrix();
+    if (obj.hitArea) {
+      mtx.appendMatrix(obj.hitArea.getMatrix());
+    }
+
+    const region = new createjs.DisplayObject();
+    region.name = 'si_hitRegion_' + obj.id;
+    region.transformMatrix = mtx;
+    region.draw = (ctx) => {
+      if (source instanceof createjs.Shape) {
+        source.graphics.drawAsPath(ctx);
+        ctx.fillStyle = color;
+        ctx.fill();
+      }
+      else if (source instanceof createjs.Bitmap && source.image && source.image.width > 0) {
+        this._drawTintedImage(ctx, source, color);
+      }
+      else if (source instanceof createjs.Text) {
+        const text = source.clone();
+        text.color = color;
+        text.draw(ctx);
+      }
+      else {
+        const bounds = this._inspector._getObjectBounds(source);
+        if (bounds) {
+          ctx.fillStyle = color;
+          ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+      }
+
+      return true;
+    };
+    container.addChild(region);
+  }
+
+  /**
+   * Draws a Bitmap's image with every opaque pixel replaced by a color, so its transparent pixels, which can't be clicked, stay empty.  The tinted image is kept and reused until the image, its source rect, or the color changes.
+   * @access private
+   * @param {!CanvasRenderingContext2D} ctx - context to draw in, already transformed to the Bitmap's space
+   * @param {!Bitmap} bitmap - Bitmap to draw
+   * @param {!string} color - color to draw with
+   */
+  _drawTintedImage(ctx, bitmap, color) {
+    const image = bitmap.image;
+    const rect = bitmap.sourceRect || { x: 0, y: 0, width: image.width, height: image.height };
+    const key = [ color, rect.x, rect.y, rect.width, rect.height ].join(',');
+    let tinted = this._tintedImages.get(image);
+    if (!tinted || tinted.src !== image.src) {
+      // the same image element loading a new src is a different image
+      tinted = { src: image.src, canvases: {} };
+      this._tintedImages.set(image, tinted);
+    }
+
+    let canvas = tinted.canvases[key];
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      canvas.width = rect.width;
+      canvas.height = rect.height;
+
+      const tintCtx = canvas.getContext('2d');
+      tintCtx.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+      tintCtx.globalCompositeOperation = 'source-in';
+      tintCtx.fillStyle = color;
+      tintCtx.fillRect(0, 0, rect.width, rect.height);
+
+      tinted.canvases[key] = canvas;
+    }
+
+    ctx.drawImage(canvas, 0, 0);
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Highlights the topmost DisplayObject under the mouse cursor with a tooltip describing it, similar to the element picker in a browser's developer tools
+ */
+export default class HoverInspector {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage is inspected
+   * @param {?Array} filters - filter array where only DisplayObjects that match at least one filter can be highlighted, or null for all DisplayObjects
+   */
+  constructor(inspector, filters) {
+    this._onMove = this._onMove.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    /**
+     * inspector whose stage is inspected
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * filter array for which DisplayObjects can be highlighted
+     * @access private
+     */
+    this._filters = filters;
+
+    /**
+     * the highlighted DisplayObject
+     * @access public
+     */
+    this.target = null;
+
+    /**
+     * DisplayObjects under the last mouse position, topmost first
+     * @access private
+     */
+    this._candidates = [];
+
+    /**
+     * true if the highlight stays on target instead of following the mouse
+     * @access private
+     */
+    this._pinned = false;
+  }
+
+  /**
+   * Starts following the mouse and blocking normal mouse interaction with the stage's DisplayObjects
+   * @access public
+   */
+  enable() {
+    const stage = this._inspector._stage;
+    this._mouseListeners = this._inspector._blockMouseEvents({ click: this._onClick }, this);
+    this._moveListener = stage.on('stagemousemove', this._onMove);
+    window.addEventListener('keydown', this._onKeyDown);
+    this._inspector._setOverlayDrawer('hover', (container) => {
+      this._draw(container);
+    });
+  }
+
+  /**
+   * Removes the highlight and re-enables normal mouse interaction with the stage's DisplayObjects
+   * @access public
+   */
+  disable() {
+    this._inspector._unblockMouseEvents(this._mouseListeners);
+    this._inspector._stage.off('stagemousemove', this._moveListener);
+    window.removeEventListener('keydown', this._onKeyDown);
+    this._inspector._setOverlayDrawer('hover', null);
+    this._inspector._redrawStage();
+  }
+
+  /**
+   * Changes the highlighted DisplayObject, selecting it if the highlight is pinned, and redraws the stage to show it
+   * @access private
+   * @param {DisplayObject} target - DisplayObject to highlight, or null for none
+   */
+  _setTarget(target) {
+    if (target !== this.target) {
+      this.target = target;
+      if (this._pinned) {
+        this._inspector.select(target);
+      }
+      this._inspector._redrawStage();
+    }
+  }
+
+  /**
+   * Finds the DisplayObjects under a point that can be highlighted
+   * @access private
+   * @param {!number} x - x position in the stage's coordinate space
+   * @param {!number} y - y position in the stage's coordinate space
+   * @return {DisplayObject[]} matching DisplayObjects, topmost first
+   */
+  _getCandidates(x, y) {
+    return this._inspector._stage.getObjectsUnderPoint(x, y).filter((obj) => {
+      return !this._inspector._isInspectorObject(obj) && (!this._filters || this._inspector._checkFilters(obj, this._filters));
+    });
+  }
+
+  /**
+   * Event handler for highlighting the topmost DisplayObject under the mouse
+   * @access private
+   * @param {!MouseEvent} evt - createjs stagemousemove event
+   */
+  _onMove(evt) {
+    if (!this._pinned) {
+      this._candidates = this._getCandidates(evt.stageX, evt.stageY);
+      this._setTarget(this._candidates[0] || null);
+    }
+  }
+
+  /**
+   * Event handler for pinning the highlight, selecting it, and dumping the highlighted DisplayObject, or unpinning it if it was already pinned
+   * @access private
+   * @param {!MouseEvent} evt - createjs click event
+   */
+  _onClick(evt) {
+    evt.stopPropagation();
+    if (this._pinned) {
+      this._pinned = false;
+      this._onMove(evt);
+    }
+    else if (this.target) {
+      this._pinned = true;
+      this._inspector.select(this.target);
+      this._inspector.dump([ this.target ]);
+      this._inspector._redrawStage();
+    }
+  }
+
+  /**
+   * Event handler for keyboard shortcuts to move the highlight.  Up selects the parent, down selects the child under the mouse (or the first child), left and right cycle through the other DisplayObjects under the mouse, enter dumps the highlighted DisplayObject, and escape unpins it.  The arrow keys are left to drag mode while it is enabled, since it uses them to nudge the selection.
+   * @access private
+   * @param {!KeyboardEvent} evt - DOM keydown event
+   */
+  _onKeyDown(evt) {
+    const target = this.target;
+    if (!target || this._inspector._isTypingEvent(evt)) {
+      return;
+    }
+    if (this._inspector._dragMode && evt.key.indexOf('Arrow') === 0) {
+      return;
+    }
+
+    let next = target;
+    switch (evt.key) {
+      case 'ArrowUp':
+        next = target.parent || target;
+        break;
+      case 'ArrowDown':
+        if (target.children && target.children.length > 0) {
+          next = this._candidates.filter((obj) => obj.parent === target)[0] || target.children[0];
+        }
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const count = this._candidates.length;
+        if (count > 0) {
+          const index = this._candidates.indexOf(target) + (evt.key === 'ArrowRight' ? 1 : -1);
+          next = this._candidates[(index + count) % count];
+        }
+        break;
+      }
+      case 'Enter':
+        this._inspector.dump([ target ]);
+        break;
+      case 'Escape':
+        this._pinned = false;
+        this._inspector._redrawStage();
+        break;
+      default:
+        return;
+    }
+
+    evt.preventDefault();
+    this._setTarget(next);
+  }
+
+  /**
+   * Draws the highlight and tooltip for the target
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _draw(container) {
+    const target = this.target;
+    if (!target || (target !== this._inspector._stage && !target.parent)) {
+      return;
+    }
+
+    const inspector = this._inspector;
+    const bounds = inspector._getObjectBounds(target);
+    const displayBounds = bounds ? inspector._getGlobalBounds(target, bounds) : null;
+
+    const shape = new createjs.Shape();
+    shape.name = 'si_hover_' + target.id;
+    if (target.parent) {
+      // the parent's bounds are shaded so that the space between the target and its parent stands out, like padding in a browser's developer tools
+      const parentBounds = inspector._getObjectBounds(target.parent);
+      if (parentBounds) {
+        const parentDisplayBounds = inspector._getGlobalBounds(target.parent, parentBounds);
+        shape.graphics
+          .beginFill(HoverInspector.PARENT_COLOR)
+          .drawRect(parentDisplayBounds.x, parentDisplayBounds.y, parentDisplayBounds.width, parentDisplayBounds.height)
+          .endFill();
+      }
+    }
+    if (displayBounds) {
+      shape.graphics
+        .setStrokeStyle(1)
+        .beginStroke(HoverInspector.OUTLINE_COLOR)
+        .beginFill(HoverInspector.TARGET_COLOR)
+        .drawRect(displayBounds.x, displayBounds.y, displayBounds.width, displayBounds.height)
+        .endFill()
+        .endStroke();
+    }
+
+    const regPos = target.parent ? target.parent.localToGlobal(target.x, target.y) : { x: target.x, y: target.y };
+    shape.graphics
+      .setStrokeStyle(1)
+      .beginStroke(HoverInspector.OUTLINE_COLOR)
+      .drawCircle(regPos.x, regPos.y, 3)
+      .moveTo(regPos.x - 6, regPos.y)
+      .lineTo(regPos.x + 6, regPos.y)
+      .moveTo(regPos.x, regPos.y - 6)
+      .lineTo(regPos.x, regPos.y + 6);
+    container.addChild(shape);
+
+    this._drawTooltip(container, target, bounds, displayBounds || { x: regPos.x, y: regPos.y, width: 0, height: 0 });
+  }
+
+  /**
+   * Draws the tooltip describing the target just below its bounds, kept within the stage's canvas
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {!DisplayObject} target - highlighted DisplayObject
+   * @param {Rectangle} bounds - result of target.getBounds()
+   * @param {!object} displayBounds - bounds converted to global coordinates
+   */
+  _drawTooltip(container, target, bounds, displayBounds) {
+    const lines = [
+      this._inspector._getObjectType(target) + (target.name ? ' ' + target.name : '') + ' (id=' + target.id + ')',
+      'size: ' + (bounds ? bounds.width.toFixed(3) + ' x ' + bounds.height.toFixed(3) : 'no bounds'),
+      'pos: ' + target.x.toFixed(3) + ',' + target.y.toFixed(3),
+    ];
+    if (this._candidates.indexOf(target) !== -1) {
+      lines.push((this._candidates.indexOf(target) + 1) + ' of ' + this._candidates.length + ' under the mouse');
+    }
+    if (this._pinned) {
+      lines.push('pinned, click to unpin');
+    }
+
+    const tooltip = new createjs.Container();
+    tooltip.name = 'si_hoverTooltip_' + target.id;
+    const bg = new createjs.Shape();
+    const text = new createjs.Text(lines.join('\n'), '11px monospace', '#ffffff');
+    text.lineHeight = 13;
+    tooltip.addChild(bg, text);
+
+    const textBounds = text.getBounds();
+    bg.graphics
+      .beginFill('rgba(0, 0, 0, 0.8)')
+      .drawRect(-4, -4, textBounds.width + 8, textBounds.height + 8);
+
+    const canvas = this._inspector._stage.canvas;
+    tooltip.x = displayBounds.x;
+    tooltip.y = displayBounds.y + displayBounds.height + 8;
+    if (canvas) {
+      tooltip.x = Math.max(4, Math.min(tooltip.x, canvas.width - textBounds.width - 8));
+      if (tooltip.y + textBounds.height + 4 > canvas.height) {
+        tooltip.y = Math.max(4, displayBounds.y - textBounds.height - 8);
+      }
+    }
+    container.addChild(tooltip);
+  }
+}
+
+/**
+ * color for shading the highlighted DisplayObject's bounds
+ * @access public
+ */
+HoverInspector.TARGET_COLOR = 'rgba(111, 168, 220, 0.5)';
+
+/**
+ * color for shading the highlighted DisplayObject's parent's bounds
+ * @access public
+ */
+HoverInspector.PARENT_COLOR = 'rgba(147, 196, 125, 0.35)';
+
+/**
+ * color for outlining the highlighted DisplayObject and its registration point
+ * @access public
+ */
+HoverInspector.OUTLINE_COLOR = '#1a73e8';
@@ -0,0 +1,279 @@
+/**
+ * Describes the images drawn by the stage's Bitmaps and Sprites: where each image comes from, whether it loaded, which part of it is drawn, and how much that part is scaled on the stage, so upscaled (blurry) art and images that never loaded can be found
+ */
+export default class ImageInspector {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's images are described
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage's images are described
+     * @access private
+     */
+    this._inspector = inspector;
+  }
+
+  /**
+   * Checks if a DisplayObject draws an image that can be described
+   * @access public
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj is a Bitmap or Sprite
+   */
+  isImage(obj) {
+    return obj instanceof createjs.Bitmap || (!!createjs.Sprite && obj instanceof createjs.Sprite);
+  }
+
+  /**
+   * Finds the Bitmaps and Sprites on the stage
+   * @access public
+   * @param {?Array} filters - filter array where only DisplayObjects that match at least one filter are included, or null for all Bitmaps and Sprites
+   * @return {DisplayObject[]} the Bitmaps and Sprites
+   */
+  getImages(filters) {
+    const back = [];
+    const visit = (obj) => {
+      if (obj === this._inspector._container) {
+        return;
+      }
+      if (this.isImage(obj) && (!filters || this._inspector._checkFilters(obj, filters))) {
+        back.push(obj);
+      }
+      if (obj.children) {
+        obj.children.forEach(visit);
+      }
+    };
+    visit(this._inspector._stage);
+
+    return back;
+  }
+
+  /**
+   * Describes the image a Bitmap or Sprite draws as a JSON serializable object
+   * @access public
+   * @param {!DisplayObject} obj - the Bitmap or Sprite
+   * @return {object} the description.  It has the image's src (or null if it isn't loaded from a URL, such as a canvas), its loadState ('loaded', 'loading', 'error', or 'missing' when there is no image), its naturalWidth and naturalHeight, the sourceRect of the image that is drawn (x, y, width, and height, or null if it isn't known yet), the renderedWidth and renderedHeight of that part on the stage, the effective scaleX and scaleY it is drawn at, whether it is upscaled, and for Sprites the sprite details (otherwise null).  The sprite details have the current animation (or null), frame index, animationFrame, the frame's rect, regX, and regY, whether the SpriteSheet is complete (all of its images loaded), its number of frames, and the names of its animations.
+   */
+  describe(obj) {
+    const frame = this._getFrame(obj);
+    const image = frame ? frame.image : null;
+    const rect = frame ? frame.rect : null;
+    const natural = this._getNaturalSize(image);
+    const transform = obj.getConcatenatedMatrix().decompose({ rotation: 0 });
+    const scaleX = Math.abs(transform.scaleX);
+    const scaleY = Math.abs(transform.scaleY);
+
+    let sprite = null;
+    if (!(obj instanceof createjs.Bitmap)) {
+      const spriteSheet = obj.spriteSheet;
+      sprite = {
+        animation:      obj.currentAnimation || null,
+        frame:          obj.currentFrame,
+        animationFrame: obj.currentAnimationFrame,
+        frameRect:      rect,
+        frameRegX:      frame ? frame.regX : null,
+        frameRegY:      frame ? frame.regY : null,
+        complete:       !!spriteSheet && spriteSheet.complete,
+        numFrames:      spriteSheet ? spriteSheet.getNumFrames() : 0,
+        animations:     spriteSheet ? spriteSheet.animations.slice() : [],
+      };
+    }
+
+    return {
+      src:            image ? image.currentSrc || image.src || null : null,
+      loadState:      this._getLoadState(image),
+      naturalWidth:   natural.width,
+      naturalHeight:  natural.height,
+      sourceRect:     rect,
+      renderedWidth:  rect ? rect.width * scaleX : 0,
+      renderedHeight: rect ? rect.height * scaleY : 0,
+      scaleX,
+      scaleY,
+      upscaled:       !!rect && Math.max(scaleX, scaleY) > 1 + ImageInspector.UPSCALE_TOLERANCE,
+      sprite,
+    };
+  }
+
+  /**
+   * Finds the image a Bitmap or Sprite draws, the part of the image that is drawn, and where that part is drawn in the DisplayObject's local space
+   * @access private
+   * @param {!DisplayObject} obj - the Bitmap or Sprite
+   * @return {object} the image, the rect of the image that is drawn (x, y, width, and height, or null if the image's size isn't known yet), and regX and regY, which the rect is drawn at the negative of, or null for a Sprite without a frame
+   */
+  _getFrame(obj) {
+    if (obj instanceof createjs.Bitmap) {
+      const image = obj.image || null;
+      const sourceRect = obj.sourceRect;
+      const natural = this._getNaturalSize(image);
+      let rect = null;
+      if (sourceRect) {
+        rect = { x: sourceRect.x, y: sourceRect.y, width: sourceRect.width, height: sourceRect.height };
+      }
+      else if (natural.width > 0 && natural.height > 0) {
+        rect = { x: 0, y: 0, width: natural.width, height: natural.height };
+      }
+
+      return { image, rect, regX: 0, regY: 0 };
+    }
+
+    const frame = obj.spriteSheet ? obj.spriteSheet.getFrame(obj.currentFrame | 0) : null;
+    if (!frame) {
+      return null;
+    }
+
+    const rect = frame.rect ? { x: frame.rect.x, y: frame.rect.y, width: frame.rect.width, height: frame.rect.height } : null;
+    return { image: frame.image || null, rect, regX: frame.regX || 0, regY: frame.regY || 0 };
+  }
+
+  /**
+   * Retrieves the full size of an image, which for videos is the size of the video and for canvases is their size in pixels
+   * @access private
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image - the image, or null if there isn't one
+   * @return {object} width and height, which are 0 if the image isn't loaded
+   */
+  _getNaturalSize(image) {
+    if (!image) {
+      return { width: 0, height: 0 };
+    }
+
+    return {
+      width:  image.naturalWidth || image.videoWidth || (image.tagName === 'IMG' ? 0 : image.width) || 0,
+      height: image.naturalHeight || image.videoHeight || (image.tagName === 'IMG' ? 0 : image.height) || 0,
+    };
+  }
+
+  /**
+   * Checks whether an image finished loading
+   * @access private
+   * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image - the image, or null if there isn't one
+   * @return {string} 'loaded', 'loading', 'error', or 'missing' when there is no image
+   */
+  _getLoadState(image) {
+    if (!image) {
+      return 'missing';
+    }
+
+    if (image.tagName === 'IMG') {
+      if (!image.complete) {
+        return 'loading';
+      }
+
+      // a broken image is complete without having a size
+      return image.naturalWidth > 0 ? 'loaded' : 'error';
+    }
+
+    if (image.tagName === 'VIDEO') {
+      if (image.error) {
+        return 'error';
+      }
+
+      // HAVE_CURRENT_DATA, the first ready state that has a frame to draw
+      return image.readyState >= 2 ? 'loaded' : 'loading';
+    }
+
+    return 'loaded';
+  }
+
+  /**
+   * Draws the part of the image each Bitmap and Sprite draws, labeled with the size of that part and the scale it is drawn at.  Upscaled images are outlined in UPSCALED_COLOR, and images that haven't loaded or failed to load are filled in UNLOADED_COLOR.
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {?Array} filters - filter array for which Bitmaps and Sprites to draw
+   */
+  _draw(container, filters) {
+    this.getImages(filters).forEach((obj) => {
+      // isVisible is false for Bitmaps whose image hasn't loaded, which are the ones to flag
+      if (!obj.visible) {
+        return;
+      }
+
+      const info = this.describe(obj);
+      const frame = this._getFrame(obj);
+      const unloaded = info.loadState !== 'loaded';
+      const color = unloaded ? ImageInspector.UNLOADED_COLOR : (info.upscaled ? ImageInspector.UPSCALED_COLOR : ImageInspector.COLOR);
+
+      // without a known size the image is marked at its position
+      const rect = frame && frame.rect ? frame.rect : { width: 0, height: 0 };
+      const x = frame ? -frame.regX : 0;
+      const y = frame ? -frame.regY : 0;
+      const corners = [
+        obj.localToGlobal(x, y),
+        obj.localToGlobal(x + rect.width, y),
+        obj.localToGlobal(x + rect.width, y + rect.height),
+        obj.localToGlobal(x, y + rect.height),
+      ];
+
+      const shape = new createjs.Shape();
+      shape.name = 'si_image_' + obj.id;
+      const g = shape.graphics;
+      if (unloaded) {
+        g.beginFill(ImageInspector.UNLOADED_FILL_COLOR);
+      }
+      g.setStrokeStyle(info.upscaled || unloaded ? 2 : 1).beginStroke(color);
+      g.moveTo(corners[0].x, corners[0].y);
+      corners.slice(1).forEach((pt) => {
+        g.lineTo(pt.x, pt.y);
+      });
+      g.closePath().endStroke().endFill();
+      g.beginStroke(color)
+        .moveTo(corners[0].x - 4, corners[0].y).lineTo(corners[0].x + 4, corners[0].y)
+        .moveTo(corners[0].x, corners[0].y - 4).lineTo(corners[0].x, corners[0].y + 4)
+        .endStroke();
+      container.addChild(shape);
+
+      let label;
+      if (info.loadState === 'loading') {
+        label = 'loading';
+      }
+      else if (info.loadState === 'error') {
+        label = 'failed to load';
+      }
+      else if (info.loadState === 'missing') {
+        label = 'no image';
+      }
+      else {
+        const size = info.sourceRect || { width: info.naturalWidth, height: info.naturalHeight };
+        label = size.width + '\u00d7' + size.height + ' \u00d7' + Number(Math.max(info.scaleX, info.scaleY).toFixed(2)) + (info.upscaled ? ' upscaled' : '');
+      }
+      if (info.sprite) {
+        label = (info.sprite.animation ? info.sprite.animation + ' ' : '') + 'frame ' + info.sprite.frame + ', ' + label;
+      }
+
+      const text = new createjs.Text(label, '10px sans-serif', color);
+      text.name = 'si_imageText_' + obj.id;
+      text.x = corners[0].x + 2;
+      text.y = corners[0].y + 2;
+      container.addChild(text);
+    });
+  }
+}
+
+/**
+ * color for outlining the drawn part of images
+ * @access public
+ */
+ImageInspector.COLOR = '#00b0f0';
+
+/**
+ * color for outlining images drawn larger than their natural size
+ * @access public
+ */
+ImageInspector.UPSCALED_COLOR = '#ff9900';
+
+/**
+ * color for outlining images that haven't loaded, failed to load, or are missing
+ * @access public
+ */
+ImageInspector.UNLOADED_COLOR = '#ff0000';
+
+/**
+ * color for filling images that haven't loaded, failed to load, or are missing
+ * @access public
+ */
+ImageInspector.UNLOADED_FILL_COLOR = 'rgba(255, 0, 0, 0.3)';
+
+/**
+ * how far above 1 the scale an image is drawn at can be without it being reported as upscaled, to allow for rounding
+ * @access public
+ */
+ImageInspector.UPSCALE_TOLERANCE = 0.01;
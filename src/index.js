@@ -1,3 +1,25 @@
+import CacheInspector from './cacheInspector';
+import DragMode from './dragMode';
+import Exporter from './exporter';
+import FrameHistory from './frameHistory';
+import HitExplainer from './hitExplainer';
+import HitRegions from './hitRegions';
+import HoverInspector from './hoverInspector';
+import ImageInspector from './imageInspector';
+import Linter from './linter';
+import MeasureMode from './measureMode';
+import MutationLog from './mutationLog';
+import OverlayCanvas from './overlayCanvas';
+import Profiler from './profiler';
+import PropertyEditor from './propertyEditor';
+import Registry from './registry';
+import Rulers from './rulers';
+import Selector from './selector';
+import TextInspector from './textInspector';
+import TimelinePanel from './timelinePanel';
+import TreePanel from './treePanel';
+import Watcher from './watcher';
+
 /**
  * Provides console output and display of DisplayObjects on a stage to help with debugging layout and other visual issues
  */
@@ -7,7 +29,7 @@ export default class StageInspector {
    * @param {!Stage} stage - stage to inspect
    */
   constructor(stage) {
-    this._updateDisplay = this._updateDisplay.bind(this);
+    this._onDrawStart = this._onDrawStart.bind(this);
 
     /**
      * stage that is registered for inspection
@@ -16,21 +38,23 @@ export default class StageInspector {
     this._stage = stage;
 
     /**
-     * Filters for which properties to display with the show function (does not affect dump).  The field names of this object are primarially the field names of the DisplayObject being inspected, but there are a few additional ones such as bounds, pos, regPos, width, and height that display information outside the info container.
+     * Filters for which properties to display with the show function (does not affect dump).  The field names of this object are primarially the field names of the DisplayObject being inspected, but there are a few additional ones such as bounds (the outline of the local bounds, which follows any rotation and skew), globalBounds (the axis aligned rectangle containing them), pos, regPos, width, and height that display information outside the info container, and transform that displays the global position, rotation, skew, and scale in the info container.
      * @access public
      */
     this.propFilters = {
-      bounds: true,
-      pos:    true,
-      regPos: true,
-      width:  true,
-      height: true,
-      name:   true,
-      id:     true,
-      x:      true,
-      y:      true,
-      scaleX: true,
-      scaleY: true,
+      bounds:       true,
+      globalBounds: false,
+      pos:          true,
+      regPos:       true,
+      width:        true,
+      height:       true,
+      transform:    true,
+      name:         true,
+      id:           true,
+      x:            true,
+      y:            true,
+      scaleX:       true,
+      scaleY:       true,
     };
 
     /**
@@ -52,6 +76,24 @@ export default class StageInspector {
       '#004c00',
     ];
 
+    /**
+     * Which rules the lint function runs, by rule name.  Set a field to false to skip that rule by default.
+     * @access public
+     */
+    this.lintRules = {};
+    Linter.RULES.forEach((rule) => {
+      this.lintRules[rule.name] = true;
+    });
+
+    /**
+     * colors to use for highlighting the findings of the lint function in the overlay, by severity
+     * @access public
+     */
+    this.lintColors = {
+      warning: '#ff0000',
+      info:    '#ff9900',
+    };
+
     /**
      * container for placing the additional DisplayObjects created by the show function
      * @access private
@@ -59,7 +101,328 @@ export default class StageInspector {
     this._container = new createjs.Container();
     this._container.name = 'si_ui_container';
 
+    /**
+     * functions that draw additional information in the overlay, by name
+     * @access private
+     */
+    this._overlayDrawers = {};
+
+    /**
+     * color for outlining the DisplayObject selected with the select function
+     * @access public
+     */
+    this.selectionColor = '#00a0ff';
+
+    /**
+     * DisplayObject selected with the select function
+     * @access private
+     */
+    this._selected = null;
+
+    /**
+     * functions to call with the newly selected DisplayObject when the selection changes
+     * @access private
+     */
+    this._selectionListeners = [];
+
+    /**
+     * edits made through the stage inspector that haven't been undone, oldest first, each with the DisplayObject (obj) and the changed properties (props), where each has the property name (prop) and the values before and after the edit
+     * @access private
+     */
+    this._edits = [];
+
+    /**
+     * options for the rulers drawn by enableRulers: size is the thickness of the rulers, spacing is the distance between tick marks, and labelSpacing is the distance between labeled tick marks, all in stage pixels
+     * @access public
+     */
+    this.rulerOptions = {
+      size:         20,
+      spacing:      10,
+      labelSpacing: 50,
+      color:        '#333333',
+      background:   'rgba(255, 255, 255, 0.85)',
+    };
+
+    /**
+     * options for the grid drawn by showGrid: spacing is the distance between grid lines, and baselineSpacing is the distance between baseline grid lines starting at baselineOffset, all in stage pixels.  A spacing of 0 turns off that grid.
+     * @access public
+     */
+    this.gridOptions = {
+      spacing:         10,
+      color:           'rgba(0, 160, 255, 0.25)',
+      baselineSpacing: 0,
+      baselineOffset:  0,
+      baselineColor:   'rgba(255, 0, 160, 0.4)',
+    };
+
+    /**
+     * color for drawing guide lines
+     * @access public
+     */
+    this.guideColor = '#00c8ff';
+
+    /**
+     * guide lines, each with the axis ('x' for a vertical line or 'y' for a horizontal one) and position in stage pixels
+     * @access private
+     */
+    this._guides = [];
+
+    /**
+     * draws the rulers, grid, and guide lines
+     * @access private
+     */
+    this._rulers = new Rulers(this);
+
+    /**
+     * smallest width and height, in stage pixels, that showHitRegions expects the hit region of a DisplayObject with press listeners to be, so it is easy to tap on touch devices
+     * @access public
+     */
+    this.minHitSize = 44;
+
+    /**
+     * colors for showHitRegions: interactive fills hit regions that receive mouse events, inactive fills hit regions and outlines subtrees blocked by mouseEnabled, and small outlines hit targets smaller than minHitSize
+     * @access public
+     */
+    this.hitRegionColors = {
+      interactive: 'rgba(0, 200, 0, 0.4)',
+      inactive:    'rgba(128, 128, 128, 0.5)',
+      small:       '#ff0000',
+    };
+
+    /**
+     * describes caches and tracks stale ones
+     * @access private
+     */
+    this._cacheInspector = new CacheInspector(this);
+
+    /**
+     * intercepts writes to watched properties
+     * @access private
+     */
+    this._watcher = new Watcher(this);
+
+    /**
+     * name to identify this inspector's stage by, in output from the functions that run across all stages and with StageInspector.for.  When null, the id of the stage's canvas is used.
+     * @access public
+     */
+    this.label = null;
+
+    /**
+     * true to group console output from dump under the stage's label, which is set while the hover inspect and click to dump modes run across all stages
+     * @access private
+     */
+    this._labelOutput = false;
+
+    /**
+     * where the overlay is drawn, 'stage' or 'canvas'
+     * @access private
+     */
+    this._overlayMode = 'stage';
+
+    /**
+     * separate canvas the overlay is drawn in while showing with the 'canvas' overlay mode, or null
+     * @access private
+     */
+    this._overlayCanvas = null;
+
+    /**
+     * most times per second the overlay is updated while updateOnDraw is true, or 0 to update it on every stage redraw.  Between updates the overlay keeps showing the last update.
+     * @access public
+     */
+    this.maxUpdatesPerSecond = 0;
+
+    /**
+     * time of the last overlay update, from performance.now
+     * @access private
+     */
+    this._lastUpdateTime = null;
+
+    /**
+     * whether the stage is being redrawn by _redrawStage, which updates the overlay itself
+     * @access private
+     */
+    this._redrawing = false;
+
+    /**
+     * overlay elements for each DisplayObject shown by the show function, by DisplayObject id.  Each has the DisplayObject (obj), the Container holding its elements (group), and a signature of what the elements show, so they are only rebuilt when that changes.
+     * @access private
+     */
+    this._objectOverlays = {};
+
+    /**
+     * the propFilters and nestColors as of the current overlay update, which are part of each element signature
+     * @access private
+     */
+    this._overlaySettingsKey = '';
+
     this._updateOnDraw = true;
+
+    StageInspector._registry.track(this);
+  }
+
+  /**
+   * Retrieves every registered StageInspector, which are the ones for stages found by auto discovery and the ones register was called on
+   * @access public
+   * @return {StageInspector[]} the inspectors, in the order they were registered
+   */
+  static all() {
+    return StageInspector._registry.all();
+  }
+
+  /**
+   * Finds the StageInspector for a stage, creating one if given a Stage that doesn't have one yet.  Any inspector can be found by its Stage, but only registered ones can be found by their canvas or label.
+   * @access public
+   * @param {!(Stage|HTMLCanvasElement|string)} target - the Stage, its canvas, the id of its canvas, or the label of its inspector
+   * @return {StageInspector} the inspector, or null if there isn't a registered one for a canvas, canvas id, or label
+   */
+  static for(target) {
+    const inspector = StageInspector._registry.find(target);
+    if (!inspector && target instanceof createjs.Stage) {
+      return new StageInspector(target);
+    }
+
+    return inspector;
+  }
+
+  /**
+   * Makes it so a StageInspector is created and registered for each Stage as it is constructed, or for Stages constructed before this is called, the first time they are updated, so that every Stage in the app is available through StageInspector.all and StageInspector.for without creating the inspectors manually.  Registered inspectors and their Stages are kept until unregister is called on them.
+   * @access public
+   */
+  static enableAutoDiscovery() {
+    StageInspector._registry.enableAutoDiscovery();
+  }
+
+  /**
+   * Stops creating StageInspectors for new Stages.  The inspectors that were already created are kept.
+   * @access public
+   */
+  static disableAutoDiscovery() {
+    StageInspector._registry.disableAutoDiscovery();
+  }
+
+  /**
+   * Shows the overlay on every stage, the same as calling show on each StageInspector
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be displayed.
+   */
+  static show(filters) {
+    StageInspector.all().forEach((inspector) => {
+      inspector.show(filters);
+    });
+  }
+
+  /**
+   * Hides the overlay on every stage
+   * @access public
+   */
+  static hide() {
+    StageInspector.all().forEach((inspector) => {
+      inspector.hide();
+    });
+  }
+
+  /**
+   * Dumps information about every stage and its DisplayObjects to the console, grouped by the label of each stage
+   * @access public
+   * @param {?Array} [objects] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be displayed.
+   */
+  static dump(objects) {
+    StageInspector.all().forEach((inspector) => {
+      const labelOutput = inspector._labelOutput;
+      inspector._labelOutput = true;
+      inspector.dump(objects);
+      inspector._labelOutput = labelOutput;
+    });
+  }
+
+  /**
+   * Finds the first DisplayObject on any stage that matches a selector or other filter entry, checking the stages in the order their inspectors were created
+   * @access public
+   * @param {!(string|number|RegExp|function|DisplayObject)} selector - selector string or any other kind of filter entry
+   * @return {DisplayObject} the first matching DisplayObject, or null if there isn't one
+   */
+  static query(selector) {
+    const inspectors = StageInspector.all();
+    for (let i = 0; i < inspectors.length; i++) {
+      const match = inspectors[i].query(selector);
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds all of the DisplayObjects on every stage that match a selector or other filter entry
+   * @access public
+   * @param {!(string|number|RegExp|function|DisplayObject)} selector - selector string or any other kind of filter entry
+   * @return {DisplayObject[]} the matching DisplayObjects, with each stage's matches in the order their inspectors were created
+   */
+  static queryAll(selector) {
+    return StageInspector.all().reduce((back, inspector) => back.concat(inspector.queryAll(selector)), []);
+  }
+
+  /**
+   * Turns on hover inspect for every stage, with anything dumped to the console grouped under the label of its stage
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be highlighted.
+   */
+  static enableHoverInspect(filters) {
+    StageInspector.all().forEach((inspector) => {
+      inspector._labelOutput = true;
+      inspector.enableHoverInspect(filters);
+    });
+  }
+
+  /**
+   * Turns off hover inspect for every stage
+   * @access public
+   */
+  static disableHoverInspect() {
+    StageInspector.all().forEach((inspector) => {
+      inspector.disableHoverInspect();
+      inspector._labelOutput = !!inspector._dumpListeners;
+    });
+  }
+
+  /**
+   * Turns on click to dump for every stage, with the output grouped under the label of the clicked stage
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only clicked DisplayObjects that match at least one filter will be dumped.
+   */
+  static enableClickToDump(filters) {
+    StageInspector.all().forEach((inspector) => {
+      inspector._labelOutput = true;
+      inspector.enableClickToDump(filters);
+    });
+  }
+
+  /**
+   * Turns off click to dump for every stage
+   * @access public
+   */
+  static disableClickToDump() {
+    StageInspector.all().forEach((inspector) => {
+      inspector.disableClickToDump();
+      inspector._labelOutput = !!inspector._hoverInspector;
+    });
+  }
+
+  /**
+   * Adds this StageInspector to the list of all inspectors, so that the functions called on StageInspector itself include its stage and it can be found by its canvas or label.  Registered inspectors and their stages are kept until unregister is called.
+   * @access public
+   */
+  register() {
+    StageInspector._registry.add(this);
+  }
+
+  /**
+   * Removes this StageInspector from the list of all inspectors, such as when its stage is no longer used
+   * @access public
+   */
+  unregister() {
+    StageInspector._registry.remove(this);
   }
 
   /**
@@ -79,41 +442,86 @@ export default class StageInspector {
   set updateOnDraw(val) {
     if (this.showing && val !== this._updateOnDraw) {
       if (this._updateOnDraw) {
-        this._stage.removeEventListener('drawstart', this._updateDisplay);
+        this._stage.removeEventListener('drawstart', this._onDrawStart);
       }
       else {
-        this._stage.addEventListener('drawstart', this._updateDisplay);
+        this._stage.addEventListener('drawstart', this._onDrawStart);
       }
     }
 
     this._updateOnDraw = val;
   }
 
+  /**
+   * Retrieves where the overlay is drawn
+   * @access public
+   * @returns {string} 'stage' if the overlay is added to the stage as its last child, or 'canvas' if it is drawn in a separate canvas over the stage's canvas
+   */
+  get overlayMode() {
+    return this._overlayMode;
+  }
+
+  /**
+   * Sets where the overlay is drawn.  If the overlay is showing, it is moved right away.
+   * @access public
+   * @param {string} val - 'stage' to add the overlay to the stage as its last child, or 'canvas' to draw it in a separate canvas over the stage's canvas, which leaves the stage's display list untouched and keeps labels the same size however the stage is scaled
+   */
+  set overlayMode(val) {
+    if (val !== 'stage' && val !== 'canvas') {
+      throw new Error('Unknown overlay mode ' + val + ', expected \'stage\' or \'canvas\'');
+    }
+    if (val === this._overlayMode) {
+      return;
+    }
+
+    const showing = this.showing;
+    const showingForDrawers = this._showingForDrawers;
+    this.hide();
+    this._overlayMode = val;
+    if (showing) {
+      this.show(this._filters);
+      this._showingForDrawers = showingForDrawers;
+      this._redrawStage();
+    }
+  }
+
   /**
    * Retrieves whether configured for showing DisplayObject data on the next stage render pass or not
    * @access public
    * @returns {boolean} true if ready to show, false otherwise
    */
   get showing() {
+    if (this._overlayMode === 'canvas') {
+      return !!this._overlayCanvas;
+    }
+
     return this._stage.children.length > 0 && this._stage.children[this._stage.children.length - 1] === this._container;
   }
 
   /**
    * Adds items to the stage in the stage inspector container to display the configured information about other DisplayObjects on the stage.  If the StageInspector instance's updateOnDraw field is true, then this display will automatically update as the stage is redrawn.  Otherwise the data displayed will be for just the next stage redraw.
     * @access public
-    * @param {?Array} [filters] - An array of ids (numbers), names (strings), or objects where only DisplayObjects that match at least one filter will be displayed.  Wildcards and regexes are not supported for names, only exact match.
+    * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be displayed.
    */
   show(filters) {
     this.hide();
 
     this._filters = filters;
+    this._showingForDrawers = false;
     if (this.updateOnDraw) {
-      this._stage.addEventListener('drawstart', this._updateDisplay);
+      this._stage.addEventListener('drawstart', this._onDrawStart);
     }
     else {
       this._updateDisplay();
     }
-    this._stage.addChild(this._container);
+
+    if (this._overlayMode === 'canvas') {
+      this._overlayCanvas = new OverlayCanvas(this);
+      this._overlayCanvas.attach();
+    }
+    else {
+      this._stage.addChild(this._container);
+    }
   }
 
   /**
@@ -123,29 +531,55 @@ export default class StageInspector {
   hide() {
     if (this._container) {
       if (this.updateOnDraw) {
-        this._stage.removeEventListener('drawstart', this._updateDisplay);
+        this._stage.removeEventListener('drawstart', this._onDrawStart);
       }
       this._container.removeAllChildren();
-      this._stage.removeChild(this._container);
+      this._objectOverlays = {};
+      this._lastUpdateTime = null;
+      if (this._overlayCanvas) {
+        this._overlayCanvas.detach();
+        this._overlayCanvas = null;
+      }
+      else {
+        this._stage.removeChild(this._container);
+      }
     }
   }
 
   /**
    * Dumps information about the stage and its DisplayObjects to the console.
    * @access public
-   * @param {?Array} [objects] - An array of ids (numbers), names (strings), or objects where only DisplayObjects that match at least one filter will be displayed.  Wildcards and regexes are not supported for names, only exact match.
+   * @param {?Array} [objects] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be displayed.
    */
   dump(objects) {
+    if (this._labelOutput) {
+      console.group(this._getLabel());
+    }
+
     if (objects) {
       console.group('Display objects');
-      objects.forEach((obj) => {
-        if (this._isString(obj)) {
-          obj = this.getObjectByName(obj);
+      objects.forEach((filter) => {
+        let matches;
+        if (this._isNumber(filter)) {
+          matches = [ this.getObjectById(filter) ];
+        }
+        else if (this._isString(filter) && this._isNameFilter(filter)) {
+          matches = [ this.getObjectByName(filter) ];
+        }
+        else if (this._isString(filter) || filter instanceof RegExp || typeof filter === 'function') {
+          matches = this.queryAll(filter);
+        }
+        else {
+          matches = [ filter ];
         }
-        else if (this._isNumber(obj)) {
-          obj = this.getObjectById(obj);
+
+        matches = matches.filter((obj) => !!obj);
+        if (matches.length === 0) {
+          console.log('No DisplayObjects match ' + filter);
         }
-        this._dumpObject(obj, this._getObjectDisplayName(obj), true);
+        matches.forEach((obj) => {
+          this._dumpObject(obj, this._getObjectDisplayName(obj), true);
+        });
       });
       console.groupEnd();
     }
@@ -155,28 +589,21 @@ export default class StageInspector {
     else {
       console.log('No stage or objects configured for inspection');
     }
+
+    if (this._labelOutput) {
+      console.groupEnd();
+    }
   }
 
   /**
    * Makes it so when clicking the stage, information about any clicked DisplayObjects is dumped to the console.  The normal click and related events are blocked while this is enabled.
    * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only clicked DisplayObjects that match at least one filter will be dumped.
    */
-  enableClickToDump() {
+  enableClickToDump(filters) {
+    this._clickToDumpFilters = filters;
     if (!this._dumpListeners) {
-      this._dumpListeners = [
-        {
-          type: 'click',
-          listener: this._stage.on('click', this._clickToDumpListener, this, false, null, true),
-        },
-      ];
-
-      const suppressEvents = [ 'mousedown', 'pressup', 'dblclick', 'mouseout', 'mouseover', 'pressmove' ];
-      suppressEvents.forEach((type) => {
-        this._dumpListeners.push({
-          type,
-          listener: this._stage.on(type, this._suppressEvent, this, false, null, true),
-        });
-      });
+      this._dumpListeners = this._blockMouseEvents({ click: this._clickToDumpListener });
     }
   }
 
@@ -186,44 +613,288 @@ export default class StageInspector {
    */
   disableClickToDump() {
     if (this._dumpListeners) {
-      this._dumpListeners.forEach((listener) => {
-        this._stage.off(listener.type, listener.listener, true);
-      });
+      this._unblockMouseEvents(this._dumpListeners);
       this._dumpListeners = null;
     }
   }
 
   /**
-   * Retrieves the first DisplayObject that has a name field matching the name argument
+   * Makes it so moving the mouse over the stage highlights the topmost DisplayObject under the mouse, along with a tooltip describing it.  Clicking pins the highlight and dumps just the highlighted DisplayObject to the console.  While the highlight is shown, the up arrow key selects its parent, the down arrow key selects its child under the mouse, the left and right arrow keys cycle through the other DisplayObjects under the mouse, enter dumps it, and escape unpins it.  The normal click and related events are blocked while this is enabled.
    * @access public
-   * @param {!string} name - string to match to a DisplayObject's name field
-   * @return {DisplayObject} the first matching DisplayObject, or null if there are no matches
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be highlighted.
    */
-  getObjectByName(name) {
-    let back;
-
-    if (name.toLowerCase() === 'stage') {
-      back = this._stage;
-    }
-    else {
-      back = this._searchForObject(this._stage, (obj) => {
-        return obj.name === name;
-      });
-    }
-
-    return back;
+  enableHoverInspect(filters) {
+    this.disableHoverInspect();
+    this._hoverInspector = new HoverInspector(this, filters);
+    this._hoverInspector.enable();
   }
 
   /**
-   * Retrieves the first DisplayObject that has a id field matching the id argument
+   * Removes the highlight from enableHoverInspect and re-enables normal mouse interaction with the stage and its DisplayObjects.
    * @access public
-   * @param {!number} id - number to match to a DisplayObject's id field
-   * @return {DisplayObject} the first matching DisplayObject, or null if there are no matches
    */
-  getObjectById(id) {
-    return this._searchForObject(this._stage, (obj) => {
-      return obj.id === id;
-    });
+  disableHoverInspect() {
+    if (this._hoverInspector) {
+      this._hoverInspector.disable();
+      this._hoverInspector = null;
+    }
+  }
+
+  /**
+   * Retrieves the DisplayObject highlighted by enableHoverInspect
+   * @access public
+   * @returns {DisplayObject} the highlighted DisplayObject, or null if there isn't one
+   */
+  get hoverTarget() {
+    return this._hoverInspector ? this._hoverInspector.target : null;
+  }
+
+  /**
+   * Selects a DisplayObject so that it is highlighted in the overlay and can be worked with by other parts of the stage inspector, such as the tree panel
+   * @access public
+   * @param {(DisplayObject|number|string|RegExp|function)} target - the DisplayObject to select, or a filter entry to select the first DisplayObject that matches it.  null clears the selection.
+   * @return {DisplayObject} the selected DisplayObject, or null if nothing is selected
+   */
+  select(target) {
+    if (target !== null && target !== undefined && !(target instanceof createjs.DisplayObject)) {
+      target = this.query(target);
+    }
+    target = target || null;
+
+    if (target !== this._selected) {
+      this._selected = target;
+      this._setOverlayDrawer('selection', target ? (container) => this._displaySelection(container) : null);
+      this._selectionListeners.forEach((listener) => {
+        listener(target);
+      });
+      this._redrawStage();
+    }
+
+    return target;
+  }
+
+  /**
+   * Retrieves the DisplayObject selected with the select function
+   * @access public
+   * @returns {DisplayObject} the selected DisplayObject, or null if nothing is selected
+   */
+  get selected() {
+    return this._selected;
+  }
+
+  /**
+   * Makes it so DisplayObjects can be repositioned by dragging them on the stage, or by nudging the selected DisplayObject with the arrow keys (1 pixel, or 10 pixels while shift is held).  The movement is converted into the DisplayObject's parent coordinate space and the overlay shows how far each DisplayObject moved from its original position.  Moves are recorded as edits, so they can be undone with undoEdit and exported with exportChanges.  The normal click and related events are blocked while this is enabled.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter can be dragged.
+   */
+  enableDragMode(filters) {
+    this.disableDragMode();
+    this._dragMode = new DragMode(this, filters);
+    this._dragMode.enable();
+  }
+
+  /**
+   * Turns off the mode from enableDragMode, re-enables normal mouse interaction with the stage and its DisplayObjects, and dumps the original and new local position of each moved DisplayObject to the console
+   * @access public
+   * @return {object[]} the moved DisplayObjects, each with the DisplayObject (object), its original local position (originalX and originalY), and its new local position (x and y)
+   */
+  disableDragMode() {
+    if (!this._dragMode) {
+      return [];
+    }
+
+    const moved = this._dragMode.disable();
+    this._dragMode = null;
+
+    console.group('Moved DisplayObjects (' + moved.length + ')');
+    moved.forEach((entry) => {
+      console.log(this._getObjectDisplayName(entry.object) + ' from ' + entry.originalX + ',' + entry.originalY + ' to ' + entry.x + ',' + entry.y, entry.object);
+    });
+    console.groupEnd();
+
+    return moved;
+  }
+
+  /**
+   * Opens a panel next to the stage's canvas that shows the stage's display list as an expandable tree.  Clicking a node in the tree selects its DisplayObject, and selecting a DisplayObject, such as by clicking it with hover inspect enabled, reveals its node in the tree.
+   * @access public
+   */
+  openTreePanel() {
+    if (!this._treePanel) {
+      this._treePanel = new TreePanel(this);
+      this._treePanel.open();
+    }
+  }
+
+  /**
+   * Closes the panel opened by openTreePanel, removing all of its DOM elements from the page
+   * @access public
+   */
+  closeTreePanel() {
+    if (this._treePanel) {
+      this._treePanel.close();
+      this._treePanel = null;
+    }
+  }
+
+  /**
+   * Opens a panel next to the stage's canvas for editing the properties of the selected DisplayObject.  Edits are applied to the stage right away, can be undone with undoEdit, and can be exported as code with exportChanges.
+   * @access public
+   */
+  openPropertyEditor() {
+    if (!this._propertyEditor) {
+      this._propertyEditor = new PropertyEditor(this);
+      this._propertyEditor.open();
+    }
+  }
+
+  /**
+   * Closes the panel opened by openPropertyEditor, removing all of its DOM elements from the page.  The edits are kept so they can still be undone or exported.
+   * @access public
+   */
+  closePropertyEditor() {
+    if (this._propertyEditor) {
+      this._propertyEditor.close();
+      this._propertyEditor = null;
+    }
+  }
+
+  /**
+   * Opens a panel next to the stage's canvas for inspecting and controlling the timeline of a MovieClip, or switches the open panel to another MovieClip.  The overlay shows the MovieClip's bounds on its current frame.
+   * @access public
+   * @param {(DisplayObject|number|string|RegExp|function)} [target] - the MovieClip, or a filter entry to use the first DisplayObject that matches it.  Defaults to the selected DisplayObject.  If the DisplayObject isn't a MovieClip, its closest MovieClip ancestor is used.
+   * @return {MovieClip} the MovieClip shown, or null if there isn't one
+   */
+  openTimeline(target) {
+    if (target === null || target === undefined) {
+      target = this._selected;
+    }
+    else if (!(target instanceof createjs.DisplayObject)) {
+      target = this.query(target);
+    }
+    while (target && !(target instanceof createjs.MovieClip)) {
+      target = target.parent;
+    }
+    if (!target) {
+      console.log('No MovieClip to show the timeline of');
+      return null;
+    }
+
+    if (!this._timelinePanel) {
+      this._timelinePanel = new TimelinePanel(this);
+      this._timelinePanel.open();
+    }
+    this._timelinePanel.setClip(target);
+
+    return target;
+  }
+
+  /**
+   * Closes the panel opened by openTimeline, removing all of its DOM elements from the page
+   * @access public
+   */
+  closeTimeline() {
+    if (this._timelinePanel) {
+      this._timelinePanel.close();
+      this._timelinePanel = null;
+    }
+  }
+
+  /**
+   * Reverts the most recent edit made through the stage inspector
+   * @access public
+   * @return {boolean} true if an edit was undone, false if there were no edits to undo
+   */
+  undoEdit() {
+    const edit = this._edits.pop();
+    if (edit) {
+      edit.props.forEach((change) => {
+        edit.obj[change.prop] = change.before;
+      });
+      this._redrawStage();
+    }
+
+    return !!edit;
+  }
+
+  /**
+   * Dumps the edits made through the stage inspector to the console as JavaScript statements that can be pasted into the consuming project's code base.  Each DisplayObject is referred to by a variable named after its name field, or its id if it doesn't have a name.  Properties that were edited back to their original value are left out.
+   * @access public
+   * @return {string} the JavaScript statements
+   */
+  exportChanges() {
+    const changes = [];
+    this._edits.forEach((edit) => {
+      let change = changes.filter((entry) => entry.obj === edit.obj)[0];
+      if (!change) {
+        change = { obj: edit.obj, props: {} };
+        changes.push(change);
+      }
+      edit.props.forEach((prop) => {
+        if (!change.props.hasOwnProperty(prop.prop)) {
+          change.props[prop.prop] = { original: prop.before };
+        }
+        change.props[prop.prop].value = prop.after;
+      });
+    });
+
+    const usedNames = {};
+    const lines = [];
+    changes.forEach((change) => {
+      const props = Object.keys(change.props).filter((prop) => change.props[prop].original !== change.props[prop].value);
+      if (props.length === 0) {
+        return;
+      }
+
+      let variable = this._getVariableName(change.obj);
+      if (usedNames[variable]) {
+        variable += '_' + change.obj.id;
+      }
+      usedNames[variable] = true;
+
+      lines.push('// ' + this._getObjectDisplayName(change.obj));
+      props.forEach((prop) => {
+        lines.push(variable + '.' + prop + ' = ' + JSON.stringify(change.props[prop].value) + ';');
+      });
+    });
+
+    const back = lines.join('\n');
+    console.log(back || 'No changes');
+
+    return back;
+  }
+
+  /**
+   * Retrieves the first DisplayObject that has a name field matching the name argument
+   * @access public
+   * @param {!string} name - string to match to a DisplayObject's name field
+   * @return {DisplayObject} the first matching DisplayObject, or null if there are no matches
+   */
+  getObjectByName(name) {
+    let back;
+
+    if (name.toLowerCase() === 'stage') {
+      back = this._stage;
+    }
+    else {
+      back = this._searchForObject(this._stage, (obj) => {
+        return obj.name === name;
+      });
+    }
+
+    return back;
+  }
+
+  /**
+   * Retrieves the first DisplayObject that has a id field matching the id argument
+   * @access public
+   * @param {!number} id - number to match to a DisplayObject's id field
+   * @return {DisplayObject} the first matching DisplayObject, or null if there are no matches
+   */
+  getObjectById(id) {
+    return this._searchForObject(this._stage, (obj) => {
+      return obj.id === id;
+    });
   }
 
   /**
@@ -237,282 +908,1980 @@ export default class StageInspector {
   }
 
   /**
-   * Checks if the argument is a string or not
-   * @access private
-   * @param {!object} obj - item to check
-   * @return {boolean} true if obj is a string, false otherwise
+   * Retrieves the first DisplayObject, in display list order, that matches a selector
+   * @access public
+   * @param {!(string|RegExp|function|number)} selector - selector string such as 'Container#menu > Text[name^=choice_]', or any other kind of filter entry
+   * @return {DisplayObject} the first matching DisplayObject, or null if there are no matches
+   * @throws {Error} if selector is a string that is not a valid selector
    */
-  _isString(obj) {
-    return (typeof obj) === 'string';
+  query(selector) {
+    const filters = this._parseQuery(selector);
+    return this._searchForObject(this._stage, (obj) => {
+      return obj !== this._container && this._checkFilters(obj, filters);
+    });
   }
 
   /**
-   * Checks if the argument is a number or not
-   * @access private
-   * @param {!object} obj - item to check
-   * @return {boolean} true if obj is a number, false otherwise
+   * Retrieves all DisplayObjects, in display list order, that match a selector
+   * @access public
+   * @param {!(string|RegExp|function|number)} selector - selector string such as 'Container#menu > Text[name^=choice_]', or any other kind of filter entry
+   * @return {DisplayObject[]} an array of all matching DisplayObjects
+   * @throws {Error} if selector is a string that is not a valid selector
    */
-  _isNumber(obj) {
-    return Number(obj) === obj && !isNaN(obj);
+  queryAll(selector) {
+    const filters = this._parseQuery(selector);
+    const back = [];
+    const visit = (obj) => {
+      if (obj !== this._container) {
+        if (this._checkFilters(obj, filters)) {
+          back.push(obj);
+        }
+        if (obj.children) {
+          obj.children.forEach(visit);
+        }
+      }
+    };
+    visit(this._stage);
+
+    return back;
   }
 
   /**
-   * Updates the stage inspector's DisplayObjects that display info about the stage's DisplayObjects
-   * @access private
+   * Creates a plain, JSON serializable snapshot of the stage and its DisplayObjects.  This collects the same kind of information as dump, but returns it as data instead of writing it to the console so that it can be saved, searched, or compared.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be included.
+   * @return {object|object[]} snapshot of the stage if no filters are given, otherwise an array of snapshots for each matching DisplayObject
    */
-  _updateDisplay() {
-    this._container.removeAllChildren();
-    this._stage.children.forEach((child) => {
-      if (child != this._container) {
-        this._addObjectToContainer(this._container, child);
+  snapshot(filters) {
+    if (filters) {
+      return this._searchForObjects(this._stage, (obj) => {
+        return obj !== this._container && this._checkFilters(obj, filters);
+      }).map((obj) => {
+        return this._snapshotObject(obj);
+      });
+    }
+    else {
+      return this._snapshotObject(this._stage);
+    }
+  }
+
+  /**
+   * Records the current state of the stage and its DisplayObjects as the baseline that the diff function compares against
+   * @access public
+   */
+  captureBaseline() {
+    this._baseline = this._captureLayout();
+  }
+
+  /**
+   * Compares the stage against the baseline recorded by captureBaseline, dumping a report of what changed to the console.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be included in the report.
+   * @param {number} [tolerance=0] - numeric property changes with a magnitude less than or equal to this are ignored
+   * @return {object} the DisplayObjects that were added, removed, reparented, reordered, or had properties changed since the baseline, or null if there is no baseline
+   */
+  diff(filters, tolerance = 0) {
+    if (!this._baseline) {
+      console.log('No baseline captured, call captureBaseline first');
+      return null;
+    }
+
+    const before = this._baseline;
+    const after = this._captureLayout();
+    const include = (entry) => {
+      return !filters || this._checkFilters(entry.ref, filters);
+    };
+
+    const back = {
+      added:      [],
+      removed:    [],
+      reparented: [],
+      reordered:  [],
+      changed:    [],
+    };
+
+    Object.keys(after).forEach((id) => {
+      const entry = after[id];
+      if (include(entry)) {
+        if (!before[id]) {
+          back.added.push({ id: entry.state.id, name: entry.state.name, type: entry.state.type, parentId: entry.state.parentId, index: entry.index });
+        }
+        else if (before[id].state.parentId !== entry.state.parentId) {
+          back.reparented.push({ id: entry.state.id, name: entry.state.name, fromParentId: before[id].state.parentId, toParentId: entry.state.parentId });
+        }
+        else if (this._getSiblingOrder(before, before[id], after) !== this._getSiblingOrder(after, entry, before)) {
+          back.reordered.push({ id: entry.state.id, name: entry.state.name, parentId: entry.state.parentId, fromIndex: before[id].index, toIndex: entry.index });
+        }
+
+        if (before[id]) {
+          const changes = this._diffStates(before[id].state, entry.state, tolerance);
+          if (Object.keys(changes).length > 0) {
+            back.changed.push({ id: entry.state.id, name: entry.state.name, changes });
+          }
+        }
+      }
+    });
+
+    Object.keys(before).forEach((id) => {
+      const entry = before[id];
+      if (!after[id] && include(entry)) {
+        back.removed.push({ id: entry.state.id, name: entry.state.name, type: entry.state.type, parentId: entry.state.parentId, index: entry.index });
       }
     });
+
+    this._dumpDiff(back, before, after);
+
+    return back;
   }
 
   /**
-   * Event handler for dumping information about a DisplayObject when clicked
-   * @access private
-   * @param {!Event} evt - an event object
+   * Creates a PNG screenshot of the stage, including the overlay if it is showing, so that what the overlay shows can be attached to bug reports.  The stage is drawn without being updated, so it doesn't tick.
+   * @access public
+   * @param {object} [options] - scale (multiplier for the size of the stage's canvas, defaults to 1), overlay (false to leave out the overlay), and download (true or a file name to also save the PNG, which is named stage.png by default)
+   * @return {string} PNG data URL, or null if the canvas can't be exported, such as when it has images from other origins
    */
-  _clickToDumpListener(evt) {
-    const objects = this._stage.getObjectsUnderPoint(evt.stageX, evt.stageY);
-    this.dump(objects);
-    evt.stopPropagation();
+  exportImage(options = {}) {
+    return new Exporter(this).toImage(options);
+  }
+
+  /**
+   * Creates an SVG diagram of the stage's layout with the bounds, registration point, and id and name label of each DisplayObject, in the same nestColors as the overlay.  Each DisplayObject's elements are in a group with data-id, data-name, data-type, data-parent-id, and data-visible attributes, so diagrams can be searched and diffed.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be included.
+   * @param {(boolean|string)} [download=false] - true or a file name to also save the SVG, which is named stage.svg by default
+   * @return {string} the SVG markup
+   */
+  exportSVG(filters, download = false) {
+    return new Exporter(this).toSVG(filters, download);
+  }
+
+  /**
+   * Makes it so clicking the stage picks two DisplayObjects, or two points while alt is held, and the overlay shows the horizontal and vertical gaps between their edges and the distances between their centers and registration points.  Distances are shown in stage pixels and, in parentheses, in the local units of the closest container both are in.  Guide lines are drawn where their edges or centers line up.  Each measurement is also dumped to the console.  Clicking a third time starts a new measurement.  The normal click and related events are blocked while this is enabled.
+   * @access public
+   * @param {number} [tolerance=1] - how close, in stage pixels, edges or centers need to be to count as aligned
+   */
+  enableMeasureMode(tolerance = 1) {
+    this.disableMeasureMode();
+    this._measureMode = new MeasureMode(this, tolerance);
+    this._measureMode.enable();
+  }
+
+  /**
+   * Turns off the mode from enableMeasureMode and re-enables normal mouse interaction with the stage and its DisplayObjects
+   * @access public
+   */
+  disableMeasureMode() {
+    if (this._measureMode) {
+      this._measureMode.disable();
+      this._measureMode = null;
+    }
+  }
+
+  /**
+   * Measures the distances between two DisplayObjects or points and dumps them to the console, the same as picking them with enableMeasureMode
+   * @access public
+   * @param {!(DisplayObject|object|number|string|RegExp|function)} a - DisplayObject, point with x and y in the stage's coordinate space, or a filter entry to measure from the first DisplayObject that matches it
+   * @param {!(DisplayObject|object|number|string|RegExp|function)} b - DisplayObject, point, or filter entry to measure to
+   * @param {number} [tolerance=1] - how close, in stage pixels, edges or centers need to be to count as aligned
+   * @return {object} the measurement, or null if a or b doesn't match a DisplayObject.  It has a and b, their closest common ancestor (ancestor), the distances in stage pixels (stage) and in the ancestor's local units (local), and the alignments found.  Each set of distances has horizontalGap and verticalGap between the facing edges (negative when they overlap), and the differences from a to b of their left, right, top, bottom, centerX, centerY, regX, and regY.
+   */
+  measure(a, b, tolerance = 1) {
+    const resolve = (item) => {
+      if (item instanceof createjs.DisplayObject || (item && this._isNumber(item.x) && this._isNumber(item.y))) {
+        return item;
+      }
+      return this.query(item);
+    };
+    const from = resolve(a);
+    const to = resolve(b);
+    if (!from || !to) {
+      console.log('No DisplayObjects match ' + (from ? b : a));
+      return null;
+    }
+
+    const result = new MeasureMode(this, tolerance).measure(from, to);
+    this._dumpMeasurement(result);
+
+    return result;
+  }
+
+  /**
+   * Draws rulers along the top and left edges of the stage in the overlay.  Dragging from the top ruler creates a horizontal guide line, and dragging from the left ruler creates a vertical one.  Existing guide lines can be dragged to move them, or dropped back on a ruler to remove them.  Mouse events are blocked from reaching the stage's DisplayObjects only while a guide line is being dragged.
+   * @access public
+   */
+  enableRulers() {
+    this.disableRulers();
+    this._rulersEnabled = true;
+    this._rulers.enable();
+  }
+
+  /**
+   * Removes the rulers from enableRulers.  Guide lines are still drawn until they are removed.
+   * @access public
+   */
+  disableRulers() {
+    if (this._rulersEnabled) {
+      this._rulersEnabled = false;
+      this._rulers.disable();
+    }
+  }
+
+  /**
+   * Draws a grid, and optionally a baseline grid, across the stage in the overlay
+   * @access public
+   * @param {?object} [options] - fields to change in gridOptions before drawing, such as { spacing: 8, baselineSpacing: 24 }
+   */
+  showGrid(options) {
+    Object.assign(this.gridOptions, options);
+    this._setOverlayDrawer('grid', (container) => {
+      this._rulers._drawGrid(container);
+    });
+    this._redrawStage();
+  }
+
+  /**
+   * Removes the grid from showGrid
+   * @access public
+   */
+  hideGrid() {
+    this._setOverlayDrawer('grid', null);
+    this._redrawStage();
+  }
+
+  /**
+   * Retrieves the guide lines
+   * @access public
+   * @returns {object[]} copies of the guide lines, each with the axis ('x' for a vertical line or 'y' for a horizontal one) and position in stage pixels
+   */
+  get guides() {
+    return this._guides.map((guide) => Object.assign({}, guide));
+  }
+
+  /**
+   * Adds a guide line, which is drawn in the overlay until it is removed
+   * @access public
+   * @param {!string} axis - 'x' for a vertical line or 'y' for a horizontal one
+   * @param {!number} position - position of the line in stage pixels
+   * @return {object} the guide line
+   */
+  addGuide(axis, position) {
+    const guide = { axis, position: Math.round(position) };
+    this._guides.push(guide);
+    this._updateGuidesDrawer();
+
+    return guide;
+  }
+
+  /**
+   * Removes the guide lines at a position
+   * @access public
+   * @param {!string} axis - 'x' for a vertical line or 'y' for a horizontal one
+   * @param {!number} position - position of the line in stage pixels
+   */
+  removeGuide(axis, position) {
+    this._guides = this._guides.filter((guide) => guide.axis !== axis || guide.position !== Math.round(position));
+    this._updateGuidesDrawer();
+  }
+
+  /**
+   * Removes all of the guide lines
+   * @access public
+   */
+  clearGuides() {
+    this._guides = [];
+    this._updateGuidesDrawer();
+  }
+
+  /**
+   * Saves the guide lines in the browser's localStorage under a scene name, so they can be loaded with loadGuides later
+   * @access public
+   * @param {!string} scene - name of the scene, such as the name of the screen the guide lines are for
+   * @return {string} the guide lines as JSON, which can be shared and passed to loadGuides
+   */
+  saveGuides(scene) {
+    const json = JSON.stringify(this.guides);
+    window.localStorage.setItem(Rulers.STORAGE_PREFIX + scene, json);
+
+    return json;
+  }
+
+  /**
+   * Replaces the guide lines with ones saved with saveGuides
+   * @access public
+   * @param {!(string|object[])} source - name of the scene the guide lines were saved under, the JSON returned by saveGuides, or an array of guide lines
+   * @return {object[]} the loaded guide lines
+   */
+  loadGuides(source) {
+    let guides = source;
+    if (this._isString(source)) {
+      const json = source.charAt(0) === '[' ? source : window.localStorage.getItem(Rulers.STORAGE_PREFIX + source);
+      if (!json) {
+        console.log('No guides saved for scene ' + source);
+        return [];
+      }
+      guides = JSON.parse(json);
+    }
+
+    this._guides = guides.map((guide) => ({ axis: guide.axis, position: guide.position }));
+    this._updateGuidesDrawer();
+
+    return this.guides;
+  }
+
+  /**
+   * Starts recording how long each stage redraw takes and how many DisplayObjects are drawn, cached, or use filters and shadows.  Any previous recording is discarded.
+   * @access public
+   */
+  startProfiling() {
+    if (this._profiler) {
+      this._profiler.stop();
+    }
+    this._profiler = new Profiler(this);
+    this._profiler.start();
+  }
+
+  /**
+   * Stops the recording from startProfiling and prints a summary of it to the console.  The recording is kept so it can still be queried with getProfile and printProfile.
+   * @access public
+   * @return {object} the summary, the same as from getProfile
+   */
+  stopProfiling() {
+    if (!this._profiler) {
+      return null;
+    }
+
+    this._profiler.stop();
+    return this.printProfile();
+  }
+
+  /**
+   * Summarizes the frames recorded since startProfiling within a window of time
+   * @access public
+   * @param {number} [from=0] - start of the window, in milliseconds since profiling started
+   * @param {number} [to=Infinity] - end of the window, in milliseconds since profiling started
+   * @return {object} the summary, or null if profiling was never started.  It has the number of frames, the window's duration in milliseconds, the average fps, the avg, min, max, and p95 of frameTime (milliseconds between the starts of consecutive redraws), drawTime (milliseconds each redraw took), overhead (milliseconds the profiler took to count the DisplayObjects after each redraw), and the total, visible, drawn, cached, uncached, filters, and shadows counts, along with the largestSubtrees (each with the Container as object and its number of descendants as size) and the recorded frames as frameList.
+   */
+  getProfile(from = 0, to = Infinity) {
+    return this._profiler ? this._profiler.summarize(from, to) : null;
+  }
+
+  /**
+   * Prints the summary from getProfile to the console as a table
+   * @access public
+   * @param {number} [from=0] - start of the window, in milliseconds since profiling started
+   * @param {number} [to=Infinity] - end of the window, in milliseconds since profiling started
+   * @return {object} the summary, the same as from getProfile
+   */
+  printProfile(from = 0, to = Infinity) {
+    const summary = this.getProfile(from, to);
+    if (!summary) {
+      console.log('Profiling has not been started');
+      return null;
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const rows = {};
+    Profiler.TIMES.concat(Profiler.COUNTS).forEach((key) => {
+      rows[key] = {
+        avg: round(summary[key].avg),
+        min: round(summary[key].min),
+        max: round(summary[key].max),
+        p95: round(summary[key].p95),
+      };
+    });
+
+    console.group('Profile: ' + summary.frames + ' frames over ' + round(summary.duration) + 'ms (' + round(summary.fps) + ' fps)');
+    console.table(rows);
+    if (summary.largestSubtrees.length > 0) {
+      console.group('Largest subtrees');
+      summary.largestSubtrees.forEach((entry) => {
+        console.log(this._getObjectDisplayName(entry.object) + ' ' + entry.size + ' descendants', entry.object);
+      });
+      console.groupEnd();
+    }
+    console.groupEnd();
+
+    return summary;
+  }
+
+  /**
+   * Colors each DisplayObject in the overlay from green to red by how expensive it is estimated to be to draw, relative to the most expensive one
+   * @access public
+   */
+  showHeatmap() {
+    const profiler = this._profiler || new Profiler(this);
+    this._setOverlayDrawer('heatmap', (container) => {
+      profiler._drawHeatmap(container);
+    });
+    this._redrawStage();
+  }
+
+  /**
+   * Removes the colors from showHeatmap
+   * @access public
+   */
+  hideHeatmap() {
+    this._setOverlayDrawer('heatmap', null);
+    this._redrawStage();
+  }
+
+  /**
+   * Dumps the cache of each cached DisplayObject to the console, including whether its cache rect clips its actual bounds and whether it is likely stale.  This also starts tracking stale caches, by checking the cached DisplayObjects each time the stage redraws, until stopTrackingCaches is called.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only cached DisplayObjects that match at least one filter will be included.
+   * @param {boolean} [highlight=false] - true to also outline the cache rects in the overlay and fill the parts of the DisplayObjects they clip, false to clear any highlights
+   * @return {object[]} the caches, each with the DisplayObject (object), the cache rect in its local space (x, y, width, and height), the cache's scale, the cacheCanvas' canvasWidth and canvasHeight in pixels, its estimated memory in bytes, the DisplayObject's actual local bounds (or null if unavailable), whether the cache rect clips those bounds (clipped), and whether the cache is likely stale
+   */
+  inspectCaches(filters, highlight = false) {
+    this._cacheInspector.startTracking();
+    const caches = this._cacheInspector.getCaches(filters);
+    const memory = caches.reduce((sum, entry) => sum + entry.memory, 0);
+
+    console.group('Caches (' + caches.length + ', ' + (memory / 1024).toFixed(1) + ' KB)');
+    caches.forEach((entry) => {
+      const bounds = entry.bounds ? ' bounds ' + entry.bounds.x + ',' + entry.bounds.y + ' ' + entry.bounds.width + 'x' + entry.bounds.height : ' bounds unavailable';
+      console.log(
+        this._getObjectDisplayName(entry.object) +
+        ' rect ' + entry.x + ',' + entry.y + ' ' + entry.width + 'x' + entry.height + ' scale ' + entry.scale +
+        ' canvas ' + entry.canvasWidth + 'x' + entry.canvasHeight + ' ' + (entry.memory / 1024).toFixed(1) + ' KB' + bounds +
+        (entry.clipped ? ' [clipped]' : '') + (entry.stale ? ' [stale]' : ''),
+        entry.object
+      );
+    });
+    console.groupEnd();
+
+    if (highlight) {
+      this._setOverlayDrawer('caches', (container) => {
+        this._cacheInspector._draw(container, filters);
+      });
+    }
+    else {
+      this._setOverlayDrawer('caches', null);
+    }
+    this._redrawStage();
+
+    return caches;
+  }
+
+  /**
+   * Stops the tracking of stale caches started by inspectCaches
+   * @access public
+   */
+  stopTrackingCaches() {
+    this._cacheInspector.stopTracking();
+  }
+
+  /**
+   * Uncaches a DisplayObject and its cached descendants so the rendering can be compared without caching.  Calling this again with the same DisplayObject recaches them with their original cache rects and scales.
+   * @access public
+   * @param {(DisplayObject|number|string|RegExp|function)} target - the DisplayObject whose subtree to toggle, or a filter entry to toggle the first DisplayObject that matches it
+   * @return {boolean} true if the subtree was recached, false if it was uncached
+   */
+  toggleCache(target) {
+    if (!(target instanceof createjs.DisplayObject)) {
+      target = this.query(target);
+    }
+    if (!target) {
+      console.log('No DisplayObjects match the target');
+      return false;
+    }
+
+    const recached = this._cacheInspector.toggle(target);
+    console.log((recached ? 'Recached ' : 'Uncached ') + this._getObjectDisplayName(target) + ' and its descendants', target);
+    this._redrawStage();
+
+    return recached;
+  }
+
+  /**
+   * Dumps the layout of each Text to the console the way createjs.Text lays it out: its font and the line height it uses, its textAlign and textBaseline and where its first baseline sits relative to its position, and each wrapped line with its measured width.  Lines that overflow lineWidth or are squeezed by maxWidth are flagged, along with fonts that haven't finished loading, since the Text is then measured and drawn with a fallback font.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only Texts that match at least one filter will be included.
+   * @param {boolean} [highlight=false] - true to also draw the line boxes, baselines, anchors, and lineWidth guides in the overlay, false to clear them
+   * @return {object[]} the metrics of each Text, each with the Text (object), font, lineHeight, autoLineHeight (true if lineHeight isn't set and is estimated from the font), textAlign, textBaseline, lineWidth, maxWidth, baselineY (the y of the first line's alphabetic baseline relative to the Text's position), width, height, lines (each with its text, the x, y, width, and height of its box in the Text's local space, and whether it overflows lineWidth or is squeezed by maxWidth), overflow (true if any line does), and fontLoaded (false while the font is still loading, or null if the browser can't tell)
+   */
+  inspectText(filters, highlight = false) {
+    const textInspector = new TextInspector(this);
+    const texts = textInspector.getTexts(filters).map((text) => textInspector.measure(text));
+
+    console.group('Texts (' + texts.length + ', ' + texts.filter((metrics) => metrics.overflow).length + ' overflowing)');
+    texts.forEach((metrics) => {
+      console.groupCollapsed(this._getObjectDisplayName(metrics.object) + (metrics.overflow ? ' [overflow]' : '') + (metrics.fontLoaded === false ? ' [font not loaded]' : ''));
+      console.log('ref:             ', metrics.object);
+      this._dumpTextMetrics(metrics);
+      console.groupEnd();
+    });
+    console.groupEnd();
+
+    if (highlight) {
+      this._setOverlayDrawer('text', (container) => {
+        textInspector._draw(container, filters);
+      });
+    }
+    else {
+      this._setOverlayDrawer('text', null);
+    }
+    this._redrawStage();
+
+    return texts;
+  }
+
+  /**
+   * Dumps the image each Bitmap and Sprite draws to the console: its source URL, whether it loaded, its natural size, the part of it that is drawn, and the size and scale that part is drawn at on the stage, along with the SpriteSheet, animation, and frame for Sprites.  Images drawn larger than their natural size, which look blurry, are flagged along with images that haven't loaded or failed to load.
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only Bitmaps and Sprites that match at least one filter will be included.
+   * @param {boolean} [highlight=false] - true to also outline the drawn part of each image in the overlay, labeled with its size and scale, false to clear the highlights
+   * @return {object[]} the images, each with the Bitmap or Sprite (object) and the same fields as the image field of snapshot: src, loadState, naturalWidth, naturalHeight, sourceRect, renderedWidth, renderedHeight, scaleX, scaleY, upscaled, and sprite
+   */
+  inspectImages(filters, highlight = false) {
+    const imageInspector = new ImageInspector(this);
+    const images = imageInspector.getImages(filters).map((obj) => Object.assign({ object: obj }, imageInspector.describe(obj)));
+    const problems = images.filter((info) => info.upscaled || info.loadState !== 'loaded');
+
+    console.group('Images (' + images.length + ', ' + problems.length + ' upscaled or not loaded)');
+    images.forEach((info) => {
+      console.groupCollapsed(this._getObjectDisplayName(info.object) + (info.upscaled ? ' [upscaled]' : '') + (info.loadState !== 'loaded' ? ' [' + info.loadState + ']' : ''));
+      console.log('ref:             ', info.object);
+      this._dumpImageInfo(info);
+      console.groupEnd();
+    });
+    console.groupEnd();
+
+    if (highlight) {
+      this._setOverlayDrawer('images', (container) => {
+        imageInspector._draw(container, filters);
+      });
+    }
+    else {
+      this._setOverlayDrawer('images', null);
+    }
+    this._redrawStage();
+
+    return images;
+  }
+
+  /**
+   * Explains whether a mouse event at a point reaches a DisplayObject, and if not, which DisplayObject receives it instead and which settings block it.  The chain from the DisplayObject up to the stage is dumped to the console with each one's visibility, alpha, mouseEnabled, mouseChildren, hitArea, mask, siblings drawn above it at the point, and listeners.
+   * @access public
+   * @param {(DisplayObject|object|number|string|RegExp|function)} [target] - the DisplayObject meant to receive the event, a filter entry to use the first DisplayObject that matches it, or a point with x and y in the stage's coordinate space to use the topmost DisplayObject drawn there.  Defaults to the selected DisplayObject.
+   * @param {object} [point] - x and y in the stage's coordinate space to test at, which defaults to the center of target's bounds
+   * @return {object} the explanation, or null if there is no target.  It has the point, target, the DisplayObject that receives the event (receiver, or null), whether target gets the event (reached, which includes it bubbling up from a descendant), the chain of descriptions from target up to the stage, the reasons the event is blocked, and a plain summary.
+   */
+  explainHit(target, point) {
+    if (target && !(target instanceof createjs.DisplayObject) && this._isNumber(target.x) && this._isNumber(target.y)) {
+      point = target;
+      target = null;
+    }
+    else if (target === null || target === undefined) {
+      target = this._selected;
+      if (!target) {
+        console.log('Nothing is selected to explain');
+        return null;
+      }
+    }
+    else if (!(target instanceof createjs.DisplayObject)) {
+      const filter = target;
+      target = this.query(target);
+      if (!target) {
+        console.log('No DisplayObjects match ' + filter);
+        return null;
+      }
+    }
+
+    const result = new HitExplainer(this).explain(target, point);
+    this._dumpHitExplanation(result);
+
+    return result;
+  }
+
+  /**
+   * Makes it so each mouse press on the stage dumps the explanation from explainHit for the topmost DisplayObject drawn under the mouse.  Unlike the other modes, mouse events still reach the stage's DisplayObjects as usual, so the explanation can be compared with what happens.
+   * @access public
+   */
+  enableHitExplainer() {
+    this.disableHitExplainer();
+    this._hitExplainer = new HitExplainer(this);
+    this._hitExplainer.enable();
+  }
+
+  /**
+   * Stops the explanations from enableHitExplainer
+   * @access public
+   */
+  disableHitExplainer() {
+    if (this._hitExplainer) {
+      this._hitExplainer.disable();
+      this._hitExplainer = null;
+    }
+  }
+
+  /**
+   * Fills the region of each DisplayObject that responds to the mouse in the overlay until hideHitRegions is called.  The region is the hitArea, in the DisplayObject's transform, if it has one, or otherwise the DisplayObject itself, so the transparent pixels of Bitmaps are left out.  Subtrees where mouseEnabled is false are outlined and filled in a different color, and DisplayObjects with press listeners whose hit region is smaller than minHitSize are flagged in the overlay and dumped to the console.
+   * @access public
+   * @return {object[]} the small hit targets, each with the DisplayObject (object) and the width and height of its hit region in stage pixels
+   */
+  showHitRegions() {
+    const hitRegions = new HitRegions(this);
+    const small = hitRegions.getSmallTargets();
+
+    console.group('Hit targets smaller than ' + this.minHitSize + 'x' + this.minHitSize + ' (' + small.length + ')');
+    small.forEach((entry) => {
+      console.log(this._getObjectDisplayName(entry.object) + ' ' + Math.round(entry.width) + 'x' + Math.round(entry.height), entry.object);
+    });
+    console.groupEnd();
+
+    this._setOverlayDrawer('hitRegions', (container) => {
+      hitRegions._draw(container);
+    });
+    this._redrawStage();
+
+    return small;
+  }
+
+  /**
+   * Removes the hit regions from showHitRegions
+   * @access public
+   */
+  hideHitRegions() {
+    this._setOverlayDrawer('hitRegions', null);
+    this._redrawStage();
+  }
+
+  /**
+   * Logs each change to properties of a DisplayObject, along with a stack trace showing what changed it, until unwatch is called.  The properties keep working the same while watched.
+   * @access public
+   * @param {!(DisplayObject|number|string|RegExp|function)} target - the DisplayObject to watch, or a filter entry to watch the first DisplayObject that matches it
+   * @param {!(string|string[])} props - name or array of names of the properties to watch, such as [ 'x', 'visible' ]
+   * @param {object} [options] - log (false to not log changes), trace (false to leave out the stack trace), and breakOn to pause in the debugger when a property changes: true for every change, 'NaN' for when the new value is NaN, 'offStage' for when the DisplayObject ends up entirely outside of the stage, or a function that is passed the new value, old value, DisplayObject, and property name and returns true to pause
+   * @return {string[]} the names of the properties that are now watched
+   */
+  watch(target, props, options = {}) {
+    const obj = target instanceof createjs.DisplayObject ? target : this.query(target);
+    if (!obj) {
+      console.log('No DisplayObjects match ' + target);
+      return [];
+    }
+
+    return this._watcher.watch(obj, this._isString(props) ? [ props ] : props, options);
+  }
+
+  /**
+   * Stops watching properties watched with the watch function, putting the original properties back exactly as they were
+   * @access public
+   * @param {(DisplayObject|number|string|RegExp|function)} [target] - the DisplayObject to stop watching, or a filter entry to use the first DisplayObject that matches it.  Defaults to all watched DisplayObjects.
+   * @param {(string|string[])} [props] - name or array of names of the properties to stop watching.  Defaults to all of the watched properties.
+   * @return {object[]} the watches removed, each with the DisplayObject (object) and property name (prop)
+   */
+  unwatch(target, props) {
+    let obj = null;
+    if (target !== null && target !== undefined) {
+      obj = target instanceof createjs.DisplayObject ? target : this.query(target);
+      if (!obj) {
+        console.log('No DisplayObjects match ' + target);
+        return [];
+      }
+    }
+
+    return this._watcher.unwatch(obj, this._isString(props) ? [ props ] : props);
+  }
+
+  /**
+   * Retrieves the properties watched with the watch function
+   * @access public
+   * @returns {object[]} the watches, each with the DisplayObject (object) and property name (prop)
+   */
+  get watches() {
+    return this._watcher.getWatches();
+  }
+
+  /**
+   * Starts recording each time a DisplayObject is added to, removed from, moved to another parent in, or reordered within the stage's display list, along with a stack trace showing what made the change.  Only changes under the stage are recorded, and any previous recording is discarded.
+   * @access public
+   */
+  startMutationLog() {
+    if (this._mutationLog) {
+      this._mutationLog.stop();
+    }
+    this._mutationLog = new MutationLog(this);
+    this._mutationLog.start();
+  }
+
+  /**
+   * Stops the recording from startMutationLog.  The recording is kept so it can still be queried with getMutations and dumpMutations.
+   * @access public
+   */
+  stopMutationLog() {
+    if (this._mutationLog) {
+      this._mutationLog.stop();
+    }
+  }
+
+  /**
+   * Retrieves the display list changes recorded since startMutationLog
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only changes to DisplayObjects that match at least one filter will be included, such as [ 57 ] for the history of the DisplayObject with id 57.
+   * @return {object[]} the changes, oldest first, each with the time in milliseconds since recording started, op ('add', 'remove', 'reparent', 'reorder', or 'swap'), the Container function called (method), the parent and child, the child's new index (-1 once removed), its previous parent (fromParent) and index (fromIndex), the other child of a swap (other), and the stack trace of the call
+   */
+  getMutations(filters) {
+    return this._mutationLog ? this._mutationLog.getEntries(filters) : [];
+  }
+
+  /**
+   * Dumps the display list changes from getMutations to the console, each with a collapsed stack trace
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only changes to DisplayObjects that match at least one filter will be dumped.
+   * @return {object[]} the changes, the same as from getMutations
+   */
+  dumpMutations(filters) {
+    if (!this._mutationLog) {
+      console.log('The mutation log has not been started');
+      return [];
+    }
+
+    const entries = this.getMutations(filters);
+    console.group('Display list changes (' + entries.length + ')');
+    entries.forEach((entry) => {
+      let message = (Math.round(entry.time * 100) / 100) + 'ms ' + entry.op + ' ' + this._getObjectDisplayName(entry.child);
+      if (entry.op === 'swap') {
+        message += ' with ' + this._getObjectDisplayName(entry.other) + ' in ' + this._getObjectDisplayName(entry.parent);
+      }
+      else if (entry.op === 'remove') {
+        message += ' from ' + this._getObjectDisplayName(entry.parent) + ' at index ' + entry.fromIndex;
+      }
+      else if (entry.op === 'reparent') {
+        message += ' from ' + this._getObjectDisplayName(entry.fromParent) + ' to ' + this._getObjectDisplayName(entry.parent) + ' at index ' + entry.index;
+      }
+      else if (entry.op === 'reorder') {
+        message += ' in ' + this._getObjectDisplayName(entry.parent) + ' from index ' + entry.fromIndex + ' to ' + entry.index;
+      }
+      else {
+        message += ' to ' + this._getObjectDisplayName(entry.parent) + ' at index ' + entry.index;
+      }
+
+      console.groupCollapsed(message + ' (' + entry.method + ')');
+      console.log('ref:', entry.child);
+      console.log(entry.stack);
+      console.groupEnd();
+    });
+    console.groupEnd();
+
+    return entries;
+  }
+
+  /**
+   * Starts recording the layout of the stage's DisplayObjects (their transforms, bounds, and visibility) each time the stage redraws, keeping only the most recent frames.  This catches glitches that only last a few frames, which can then be looked at with freezeFrameHistory and dumpFrame.  Any previous recording is discarded.
+   * @access public
+   * @param {int} [size=120] - number of frames to keep
+   */
+  startFrameHistory(size = FrameHistory.DEFAULT_SIZE) {
+    this.stopFrameHistory();
+    this._frameHistory = new FrameHistory(this, size);
+    this._frameHistory.start();
+  }
+
+  /**
+   * Stops the recording from startFrameHistory and removes any frozen frame from the overlay.  The recorded frames are kept so they can still be dumped with dumpFrame.
+   * @access public
+   */
+  stopFrameHistory() {
+    if (this._frameHistory) {
+      this._frameHistory.stop();
+    }
+  }
+
+  /**
+   * Pauses the recording from startFrameHistory and draws the bounds of each DisplayObject in a recorded frame in the overlay, with the ones that changed since the frame before it outlined in orange.  While frozen, the comma and period keys step back and forward through the recorded frames.
+   * @access public
+   * @param {int} [framesAgo=0] - frame to show, where 0 is the newest recorded frame, 1 is the one before it, and so on
+   * @return {object} the frame shown, the same as from getFrame, or null if no frames are recorded
+   */
+  freezeFrameHistory(framesAgo = 0) {
+    return this._frameHistory ? this._frameHistory.freeze(framesAgo) : null;
+  }
+
+  /**
+   * Steps through the recorded frames, freezing on the newest frame first if not already frozen
+   * @access public
+   * @param {int} [delta=-1] - number of frames to step, where negative numbers step back in time
+   * @return {object} the frame shown, the same as from getFrame, or null if no frames are recorded
+   */
+  stepFrameHistory(delta = -1) {
+    return this._frameHistory ? this._frameHistory.step(delta) : null;
+  }
+
+  /**
+   * Goes back to recording frames after freezeFrameHistory or stepFrameHistory, and removes the frozen frame from the overlay
+   * @access public
+   */
+  resumeFrameHistory() {
+    if (this._frameHistory) {
+      this._frameHistory.resume();
+    }
+  }
+
+  /**
+   * Retrieves a frame recorded since startFrameHistory
+   * @access public
+   * @param {int} [framesAgo] - frame to get, where 0 is the newest recorded frame.  Defaults to the frozen frame, or the newest frame if not frozen.
+   * @return {object} the frame, or null if there isn't one.  It has the frame number (counting from 0 when recording started), time in milliseconds since recording started, the id of the stage (rootId), and records, which maps DisplayObject ids to their recorded state: the DisplayObject (ref), id, name, parentId, childIds, visible, alpha, x, y, regX, regY, scaleX, scaleY, rotation, skewX, skewY, local bounds, and concatenated matrix.
+   */
+  getFrame(framesAgo) {
+    if (!this._frameHistory) {
+      return null;
+    }
+
+    if (framesAgo === undefined || framesAgo === null) {
+      framesAgo = this._frameHistory.framesAgo || 0;
+    }
+    return this._frameHistory.getFrame(framesAgo);
+  }
+
+  /**
+   * Dumps the state of the stage and its DisplayObjects in a recorded frame to the console, the same way that dump does for the current state
+   * @access public
+   * @param {int} [framesAgo] - frame to dump, where 0 is the newest recorded frame.  Defaults to the frozen frame, or the newest frame if not frozen.
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be dumped.  Filters are checked against the recorded state of the DisplayObjects, and predicate functions are passed stand-ins with that state (see _getRecordedObjects).
+   */
+  dumpFrame(framesAgo, filters) {
+    const frame = this.getFrame(framesAgo);
+    if (!frame) {
+      console.log('No recorded frame, call startFrameHistory first');
+      return;
+    }
+
+    const root = frame.records[frame.rootId];
+    if (filters) {
+      const objects = this._getRecordedObjects(frame);
+      const visit = (record) => {
+        // the stand-ins aren't the DisplayObjects themselves, so DisplayObject filters are compared against the recorded ones
+        if (record !== root && (this._checkFilters(objects[record.id], filters) || filters.indexOf(record.ref) !== -1)) {
+          this._dumpFrameRecord(frame, record, this._getObjectDisplayName(objects[record.id]), true);
+        }
+        if (record.childIds) {
+          record.childIds.forEach((id) => {
+            visit(frame.records[id]);
+          });
+        }
+      };
+
+      console.group('Display objects in frame ' + frame.frame + ' (' + Math.round(frame.time) + 'ms)');
+      visit(root);
+      console.groupEnd();
+    }
+    else {
+      this._dumpFrameRecord(frame, root, 'Stage (id=' + root.id + ') in frame ' + frame.frame + ' (' + Math.round(frame.time) + 'ms)', true);
+    }
+  }
+
+  /**
+   * Checks the stage's DisplayObjects for common layout mistakes, such as being entirely off the stage, and dumps the findings to the console
+   * @access public
+   * @param {?Array} [filters] - An array of ids (numbers), names or selectors (strings), RegExps to test names with, predicate functions, or objects where only DisplayObjects that match at least one filter will be checked.
+   * @param {?object} [rules] - map of rule name to true or false to override lintRules for just this call
+   * @param {boolean} [highlight=false] - true to also highlight the offending DisplayObjects in the overlay until lint is called again, false to clear any highlights
+   * @return {object[]} the findings, each with the rule name, severity ('warning' or 'info'), message, and offending DisplayObject (object)
+   */
+  lint(filters, rules, highlight = false) {
+    const findings = new Linter(this).run(filters, Object.assign({}, this.lintRules, rules));
+
+    console.group('Lint findings (' + findings.length + ')');
+    findings.forEach((finding) => {
+      console.log('[' + finding.severity + '] ' + finding.rule + ': ' + this._getObjectDisplayName(finding.object) + ' ' + finding.message, finding.object);
+    });
+    console.groupEnd();
+
+    if (highlight) {
+      this._setOverlayDrawer('lint', (container) => {
+        findings.forEach((finding) => {
+          this._displayLintFinding(container, finding);
+        });
+      });
+    }
+    else {
+      this._setOverlayDrawer('lint', null);
+    }
+    this._redrawStage();
+
+    return findings;
+  }
+
+  /**
+   * Changes properties of a DisplayObject, recording them as one edit so that they can be undone together or exported, and redraws the stage
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to change
+   * @param {!object} values - new values by property name, such as { x: 10, y: 20 }
+   */
+  _applyEdit(obj, values) {
+    const props = Object.keys(values).filter((prop) => obj[prop] !== values[prop]).map((prop) => {
+      return { prop, before: obj[prop], after: values[prop] };
+    });
+    if (props.length > 0) {
+      this._edits.push({ obj, props });
+      props.forEach((change) => {
+        obj[change.prop] = change.after;
+      });
+      this._redrawStage();
+    }
+  }
+
+  /**
+   * Creates a JavaScript variable name to refer to a DisplayObject by in exported code, such as choiceLabel for a DisplayObject named choice_label
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to name
+   * @return {string} the variable name
+   */
+  _getVariableName(obj) {
+    const words = this._isString(obj.name) ? obj.name.split(/[^A-Za-z0-9$]+/).filter((word) => word.length > 0) : [];
+    if (words.length === 0) {
+      return 'obj' + obj.id;
+    }
+
+    const back = words.map((word, i) => {
+      return i === 0 ? word.charAt(0).toLowerCase() + word.substr(1) : word.charAt(0).toUpperCase() + word.substr(1);
+    }).join('');
+
+    return /^[0-9]/.test(back) ? 'obj' + back : back;
+  }
+
+  /**
+   * Checks if the argument is a string or not
+   * @access private
+   * @param {!object} obj - item to check
+   * @return {boolean} true if obj is a string, false otherwise
+   */
+  _isString(obj) {
+    return (typeof obj) === 'string';
+  }
+
+  /**
+   * Checks if the argument is a number or not
+   * @access private
+   * @param {!object} obj - item to check
+   * @return {boolean} true if obj is a number, false otherwise
+   */
+  _isNumber(obj) {
+    return Number(obj) === obj && !isNaN(obj);
+  }
+
+  /**
+   * Updates the stage inspector's DisplayObjects that display info about the stage's DisplayObjects
+   * @access private
+   */
+  _updateDisplay() {
+    this._lastUpdateTime = this._now();
+    this._overlaySettingsKey = JSON.stringify(this.propFilters) + JSON.stringify(this.nestColors);
+
+    // the elements for each DisplayObject are kept between updates, so this only detaches them
+    this._container.removeAllChildren();
+    const shown = {};
+    this._stage.children.forEach((child) => {
+      if (child != this._container) {
+        this._addObjectToContainer(this._container, child, 0, shown);
+      }
+    });
+    Object.keys(this._objectOverlays).forEach((id) => {
+      if (!shown[id]) {
+        delete this._objectOverlays[id];
+      }
+    });
+
+    Object.keys(this._overlayDrawers).forEach((key) => {
+      this._overlayDrawers[key](this._container);
+    });
+  }
+
+  /**
+   * Event handler for updating the overlay as the app redraws the stage, unless it was updated too recently for maxUpdatesPerSecond
+   * @access private
+   */
+  _onDrawStart() {
+    // _redrawStage already updated the overlay
+    if (this._redrawing) {
+      return;
+    }
+    if (this.maxUpdatesPerSecond > 0 && this._lastUpdateTime !== null && this._now() - this._lastUpdateTime < 1000 / this.maxUpdatesPerSecond) {
+      return;
+    }
+
+    this._updateDisplay();
+  }
+
+  /**
+   * Retrieves the current time in milliseconds
+   * @access private
+   * @return {number} the time
+   */
+  _now() {
+    return window.performance ? window.performance.now() : Date.now();
+  }
+
+  /**
+   * Sets or removes a function that draws additional information in the overlay after the DisplayObjects matching the show filters are drawn.  This is how modes such as lint highlighting add to the overlay.  The overlay is shown, without any DisplayObjects, while there are drawers if show hasn't been called, and is hidden again once the last drawer is removed.
+   * @access private
+   * @param {!string} key - unique name for the drawer
+   * @param {?function(container: Container)} drawer - function that adds DisplayObjects to the container passed to it, or null to remove the drawer
+   */
+  _setOverlayDrawer(key, drawer) {
+    if (drawer) {
+      this._overlayDrawers[key] = drawer;
+      if (!this.showing) {
+        this.show([]);
+        this._showingForDrawers = true;
+      }
+    }
+    else {
+      delete this._overlayDrawers[key];
+      if (this._showingForDrawers && Object.keys(this._overlayDrawers).length === 0) {
+        this.hide();
+      }
+    }
+
+    if (this.showing && !this.updateOnDraw) {
+      this._updateDisplay();
+    }
+  }
+
+  /**
+   * Sets the overlay drawer for the guide lines while there are any, and redraws the stage
+   * @access private
+   */
+  _updateGuidesDrawer() {
+    this._setOverlayDrawer('guides', this._guides.length > 0 ? (container) => this._rulers._drawGuides(container) : null);
+    this._redrawStage();
+  }
+
+  /**
+   * Redraws the stage so that changes to the overlay are visible right away, without ticking the stage since that could alter the state of what is trying to be debugged
+   * @access private
+   */
+  _redrawStage() {
+    // changes from the stage inspector itself are always shown right away, regardless of maxUpdatesPerSecond
+    if (this.showing) {
+      this._updateDisplay();
+    }
+
+    const tickOnUpdate = this._stage.tickOnUpdate;
+    this._stage.tickOnUpdate = false;
+    this._redrawing = true;
+    try {
+      this._stage.update();
+    }
+    finally {
+      this._redrawing = false;
+      this._stage.tickOnUpdate = tickOnUpdate;
+    }
+  }
+
+  /**
+   * Checks if a DisplayObject is part of the stage inspector's overlay
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj is the overlay container or one of its descendants
+   */
+  _isInspectorObject(obj) {
+    for (let cur = obj; cur; cur = cur.parent) {
+      if (cur === this._container) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Retrieves the name to identify this inspector's stage by
+   * @access private
+   * @return {string} the label, the id of the stage's canvas, or a description of the stage if neither is set
+   */
+  _getLabel() {
+    if (this.label) {
+      return this.label;
+    }
+
+    const canvas = this._stage.canvas;
+    return canvas && canvas.id ? '#' + canvas.id : 'Stage (id=' + this._stage.id + ')';
+  }
+
+  /**
+   * Event handler for dumping information about a DisplayObject when clicked
+   * @access private
+   * @param {!Event} evt - an event object
+   */
+  _clickToDumpListener(evt) {
+    let objects = this._stage.getObjectsUnderPoint(evt.stageX, evt.stageY).filter((obj) => !this._isInspectorObject(obj));
+    if (this._clickToDumpFilters) {
+      objects = objects.filter((obj) => this._checkFilters(obj, this._clickToDumpFilters));
+    }
+    this.dump(objects);
+    evt.stopPropagation();
+  }
+
+  /**
+   * Adds listeners to the stage's capture phase so that mouse events are handled by the stage inspector instead of being sent to the stage's DisplayObjects, which otherwise could alter the state of what is trying to be debugged
+   * @access private
+   * @param {!object} handlers - map of event type to the function to handle it with.  Other mouse events are suppressed.
+   * @param {object} [scope=this] - scope to call the handlers with
+   * @return {object[]} records of the added listeners to pass to _unblockMouseEvents
+   */
+  _blockMouseEvents(handlers, scope = this) {
+    const suppressEvents = [ 'click', 'mousedown', 'pressup', 'dblclick', 'mouseout', 'mouseover', 'pressmove' ];
+
+    return Object.keys(handlers).concat(suppressEvents.filter((type) => !handlers[type])).map((type) => {
+      return {
+        type,
+        listener: this._stage.on(type, handlers[type] || this._suppressEvent, handlers[type] ? scope : this, false, null, true),
+      };
+    });
+  }
+
+  /**
+   * Removes listeners added by _blockMouseEvents
+   * @access private
+   * @param {!object[]} listeners - result of _blockMouseEvents
+   */
+  _unblockMouseEvents(listeners) {
+    listeners.forEach((listener) => {
+      this._stage.off(listener.type, listener.listener, true);
+    });
+  }
+
+  /**
+   * Event handler for preventing mouse events from being processed normally while click to dump or a similar mode is enabled
+   * @access private
+   * @param {!Event} evt - an event object
+   */
+  _suppressEvent(evt) {
+    evt.stopPropagation();
+  }
+
+  /**
+   * Checks if a keyboard event is meant for something the user is typing in, such as the property editor's inputs, so keyboard shortcuts leave it alone
+   * @access private
+   * @param {!KeyboardEvent} evt - DOM keyboard event
+   * @return {boolean} true if the event's target is an input, textarea, select, or contenteditable element
+   */
+  _isTypingEvent(evt) {
+    const target = evt.target;
+    if (!target || !target.tagName) {
+      return false;
+    }
+
+    return [ 'INPUT', 'TEXTAREA', 'SELECT' ].indexOf(target.tagName) !== -1 || !!target.isContentEditable;
+  }
+
+  /**
+   * Since createjs.Text's toString method is overriden, this allows for all DisplayObjects to have a consistent and useful name when dumping a DisplayObject to the console
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to create a uniform console dump name for
+   * @return {string} String to display for labeling the DisplayObject
+   */
+  _getObjectDisplayName(obj) {
+    let back;
+
+    if (obj instanceof createjs.Text) {
+      back = '[Text (name=' + obj.name + ')]';
+    }
+    else {
+      back = obj.toString();
+    }
+
+    back += ' (id=' + obj.id + ')';
+
+    return back;
+  }
+
+  /**
+   * Retrieves the appropriate color to use when displaying info about a DisplayObject at a particular nesting level
+   * @access private
+   * @param {!int} nestLevel - 0-based nesting level
+   * @return {string} Color to use
+   */
+  _getNestColor(nestLevel) {
+    if (nestLevel > (this.nestColors.length - 1)) {
+      return this.nestColors[this.nestColors.length - 1];
+    }
+    else {
+      return this.nestColors[nestLevel];
+    }
+  }
+
+  /**
+   * Recursively dumps information about obj and its children to the console
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to dump info about
+   * @param {!string} name - string to identify the DisplayObject's group in the console output
+   * @param {!boolean} expand - true if the console group for the object should be initally expanded, false for collapsed
+   */
+  _dumpObject(obj, name, expand) {
+    if (this._container == obj) {
+      return;
+    }
+
+    if (expand) {
+      console.group(name);
+    }
+    else {
+      console.groupCollapsed(name);
+    }
+    console.log('ref:             ', obj);
+
+    const bounds = this._getObjectBounds(obj);
+
+    console.log('visible:         ' + obj.visible);
+    console.log('alpha:           ' + obj.alpha);
+    console.log('x:               ' + obj.x);
+    console.log('y:               ' + obj.y);
+    console.log('bounds:          ' + bounds);
+    console.log('regX:            ' + obj.regX);
+    console.log('regY:            ' + obj.regY);
+    console.log('scaleX:          ' + obj.scaleX);
+    console.log('scaleY:          ' + obj.scaleY);
+    console.log('rotation:        ' + obj.rotation);
+    console.log('globalTransform: ' + this._formatTransform(this._decomposeTransform(obj)));
+    console.log('transformMatrix: ' + (obj.transformMatrix ? this._formatTransform(obj.transformMatrix.decompose({ rotation: 0 })) : 'none'));
+    console.log('mouseChildren:   ' + obj.mouseChildren);
+    console.log('mouseEnabled:    ' + obj.mouseEnabled);
+    console.log('cachedStatus:    ' + obj.cacheID);
+    console.log('filters:         ' + obj.filters);
+    if (obj instanceof createjs.Text) {
+      console.groupCollapsed('Text:');
+      this._dumpTextMetrics(new TextInspector(this).measure(obj));
+      console.groupEnd();
+    }
+    const imageInspector = new ImageInspector(this);
+    if (imageInspector.isImage(obj)) {
+      console.groupCollapsed('Image:');
+      this._dumpImageInfo(imageInspector.describe(obj));
+      console.groupEnd();
+    }
+
+    if (obj.children) {
+      console.group('Children:');
+      obj.children.forEach((child, i) => {
+        this._dumpObject(child, this._getObjectDisplayName(child), false);
+      });
+      console.groupEnd();
+    }
+    else {
+      console.log('Children: None');
+    }
+
+    console.groupEnd();
+  }
+
+  /**
+   * Dumps the metrics of a Text to the console
+   * @access private
+   * @param {!object} metrics - the Text's metrics, from TextInspector's measure
+   */
+  _dumpTextMetrics(metrics) {
+    console.log('font:            ' + metrics.font + (metrics.fontLoaded === false ? ' (not loaded, measured with a fallback font)' : ''));
+    console.log('lineHeight:      ' + Number(metrics.lineHeight.toFixed(3)) + (metrics.autoLineHeight ? ' (estimated from the font)' : ''));
+    console.log('textAlign:       ' + metrics.textAlign);
+    console.log('textBaseline:    ' + metrics.textBaseline + ' (alphabetic baseline at y=' + Number(metrics.baselineY.toFixed(3)) + ')');
+    console.log('lineWidth:       ' + metrics.lineWidth);
+    console.log('maxWidth:        ' + metrics.maxWidth);
+    console.log('size:            ' + Number(metrics.width.toFixed(3)) + 'x' + Number(metrics.height.toFixed(3)));
+    metrics.lines.forEach((line, i) => {
+      const problems = (line.overflows ? ' [overflows lineWidth]' : '') + (line.squeezed ? ' [squeezed by maxWidth]' : '');
+      console.log('line ' + i + ':          ' + JSON.stringify(line.text) + ' x=' + Number(line.x.toFixed(3)) + ' y=' + Number(line.y.toFixed(3)) + ' width=' + Number(line.width.toFixed(3)) + problems);
+    });
+  }
+
+  /**
+   * Dumps the description of the image a Bitmap or Sprite draws to the console
+   * @access private
+   * @param {!object} info - the description, from ImageInspector's describe
+   */
+  _dumpImageInfo(info) {
+    const formatRect = (rect) => rect ? rect.x + ',' + rect.y + ' ' + rect.width + 'x' + rect.height : 'unknown';
+
+    console.log('src:             ' + info.src);
+    console.log('loadState:       ' + info.loadState);
+    console.log('naturalSize:     ' + info.naturalWidth + 'x' + info.naturalHeight);
+    console.log('sourceRect:      ' + formatRect(info.sourceRect));
+    console.log('renderedSize:    ' + Number(info.renderedWidth.toFixed(3)) + 'x' + Number(info.renderedHeight.toFixed(3)));
+    console.log('effectiveScale:  ' + Number(info.scaleX.toFixed(3)) + ',' + Number(info.scaleY.toFixed(3)) + (info.upscaled ? ' (upscaled)' : ''));
+    if (info.sprite) {
+      console.log('animation:       ' + info.sprite.animation);
+      console.log('frame:           ' + info.sprite.frame + ' (animation frame ' + info.sprite.animationFrame + ' of ' + info.sprite.numFrames + ' frames)');
+      console.log('frameRect:       ' + formatRect(info.sprite.frameRect));
+      console.log('frameReg:        ' + info.sprite.frameRegX + ',' + info.sprite.frameRegY);
+      console.log('spriteSheet:     ' + (info.sprite.complete ? 'complete' : 'not complete') + ', animations: ' + info.sprite.animations.join(', '));
+    }
+  }
+
+  /**
+   * Creates stand-ins for the DisplayObjects recorded in a frame, so that filters can be checked against their recorded state.  Each stand-in inherits from its DisplayObject, so type checks and the properties that aren't recorded still work, but has the recorded fields, along with a parent and children made up of the other stand-ins.
+   * @access private
+   * @param {!object} frame - the recorded frame, from getFrame
+   * @return {object} map of DisplayObject id to its stand-in
+   */
+  _getRecordedObjects(frame) {
+    const back = {};
+    Object.keys(frame.records).forEach((id) => {
+      const record = frame.records[id];
+      const props = {};
+      Object.keys(record).forEach((key) => {
+        if ([ 'ref', 'parentId', 'childIds', 'bounds', 'matrix' ].indexOf(key) === -1) {
+          props[key] = { value: record[key] };
+        }
+      });
+      back[id] = Object.create(record.ref, props);
+    });
+
+    Object.keys(back).forEach((id) => {
+      const record = frame.records[id];
+      Object.defineProperties(back[id], {
+        parent:   { value: record.parentId === null ? null : back[record.parentId] || null },
+        children: { value: record.childIds ? record.childIds.map((childId) => back[childId]) : null },
+      });
+    });
+
+    return back;
+  }
+
+  /**
+   * Recursively dumps a DisplayObject recorded by startFrameHistory and its recorded children to the console
+   * @access private
+   * @param {!object} frame - the recorded frame, from getFrame
+   * @param {!object} record - the DisplayObject's record in the frame
+   * @param {!string} name - string to identify the DisplayObject's group in the console output
+   * @param {!boolean} expand - true if the console group for the object should be initally expanded, false for collapsed
+   */
+  _dumpFrameRecord(frame, record, name, expand) {
+    if (expand) {
+      console.group(name);
+    }
+    else {
+      console.groupCollapsed(name);
+    }
+    console.log('ref:             ', record.ref);
+
+    console.log('visible:         ' + record.visible);
+    console.log('alpha:           ' + record.alpha);
+    console.log('x:               ' + record.x);
+    console.log('y:               ' + record.y);
+    console.log('bounds:          ' + record.bounds);
+    console.log('regX:            ' + record.regX);
+    console.log('regY:            ' + record.regY);
+    console.log('scaleX:          ' + record.scaleX);
+    console.log('scaleY:          ' + record.scaleY);
+    console.log('rotation:        ' + record.rotation);
+    console.log('skewX:           ' + record.skewX);
+    console.log('skewY:           ' + record.skewY);
+
+    // like _decomposeTransform, the position is the registration point's rather than that of local (0, 0)
+    const transform = record.matrix.decompose({ rotation: 0 });
+    const globalPos = record.matrix.transformPoint(record.regX, record.regY);
+    transform.x = globalPos.x;
+    transform.y = globalPos.y;
+    console.log('globalTransform: ' + this._formatTransform(transform));
+
+    if (record.childIds) {
+      console.group('Children:');
+      record.childIds.forEach((id) => {
+        const child = frame.records[id];
+        this._dumpFrameRecord(frame, child, this._getObjectDisplayName(child.ref), false);
+      });
+      console.groupEnd();
+    }
+    else {
+      console.log('Children: None');
+    }
+
+    console.groupEnd();
+  }
+
+  /**
+   * Recursively searches obj and its children for the first DisplayObject for which func returns true
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check it and its children
+   * @param {!function(obj: DisplayObject): boolean} func - a function that takes a DisplayObject as an argument and returns true if it is the matching DisplayObject, or false otherwise
+   * @return {DisplayObject} The matching DisplayObject, or null if none is found
+   */
+  _searchForObject(obj, func) {
+    let back = null;
+
+    if (func(obj)) {
+      back = obj;
+    }
+    else if (obj.children) {
+      for (let i = 0; i < obj.children.length && !back; i++) {
+        const child = obj.children[i];
+        back = this._searchForObject(child, func);
+      }
+    }
+
+    return back;
+  }
+
+  /**
+   * Recursively searches obj and its children for all DisplayObjects for which func returns true
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check it and its children
+   * @param {!function(obj: DisplayObject): boolean} func - a function that takes a DisplayObject as an argument and returns true if it is the matching DisplayObject, or false otherwise
+   * @return {DisplayObject[]} Array of all matching DisplayObjects
+   */
+  _searchForObjects(obj, func) {
+    let back = [];
+
+    if (func(obj)) {
+      back.push(obj);
+    }
+    else if (obj.children) {
+      for (let i = 0; i < obj.children.length; i++) {
+        const child = obj.children[i];
+        back = back.concat(this._searchForObjects(child, func));
+      }
+    }
+
+    return back;
+  }
+
+  /**
+   * Converts the argument of query or queryAll to a filter array, validating selector strings that aren't also a DisplayObject's name so that typos are reported instead of silently matching nothing
+   * @access private
+   * @param {!(string|RegExp|function|number)} selector - argument to query or queryAll
+   * @return {Array} filter array for _checkFilters
+   * @throws {Error} if selector is a string that is neither a valid selector nor a DisplayObject's name
+   */
+  _parseQuery(selector) {
+    if (this._isString(selector) && !this._getSelector(selector) && !this.getObjectByName(selector)) {
+      // parse again just to throw the error describing the problem
+      new Selector(selector);
+    }
+
+    return [ selector ];
+  }
+
+  /**
+   * Checks if a string filter is only compared against names, rather than also being used as a selector.  That is the case unless it has selector syntax (*, #, [, :, >, a comma, or whitespace), or it is a CreateJS class name such as 'Text' that no DisplayObject has as its name, so that existing filters of exact names keep matching just those names.
+   * @access private
+   * @param {!string} text - the string filter
+   * @return {boolean} true if text is only compared against names
+   */
+  _isNameFilter(text) {
+    const selector = this._getSelector(text);
+    if (!selector || /[*#[:>,\s]/.test(text)) {
+      return !selector;
+    }
+    if (!createjs.hasOwnProperty(text) || typeof createjs[text] !== 'function') {
+      // without selector syntax, the selector only checks the type, so it can't match anything else
+      return true;
+    }
+
+    // the filters are checked against every DisplayObject, so only search for the name once until the current task is done
+    if (!this._nameFilters) {
+      this._nameFilters = {};
+      setTimeout(() => {
+        this._nameFilters = null;
+      }, 0);
+    }
+    if (!this._nameFilters.hasOwnProperty(text)) {
+      this._nameFilters[text] = !!this.getObjectByName(text);
+    }
+
+    return this._nameFilters[text];
+  }
+
+  /**
+   * Retrieves the parsed form of a selector string, caching it since the filters for show are checked against every DisplayObject on every redraw
+   * @access private
+   * @param {!string} text - selector to parse
+   * @return {Selector} the parsed selector, or null if text is not a valid selector (in which case it can still match names exactly)
+   */
+  _getSelector(text) {
+    if (!this._selectors) {
+      this._selectors = {};
+    }
+    if (!this._selectors.hasOwnProperty(text)) {
+      try {
+        this._selectors[text] = new Selector(text);
+      } catch (err) {
+        this._selectors[text] = null;
+      }
+    }
+
+    return this._selectors[text];
+  }
+
+  /**
+   * Checks if the DisplayObject matches any of the filters
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check against filters
+   * @param {!Array} [filters=this._filters] - filters to check against, defaults to the ones passed to show
+   * @return {boolean} true if the DisplayObject matches at least one filter, false if it matches none
+   */
+  _checkFilters(obj, filters = this._filters) {
+    let back = false;
+
+    for (let i = 0; i < filters.length && !back; i++) {
+      const filter = filters[i];
+      if (this._isNumber(filter)) {
+        back = obj.id === filter;
+      }
+      else if (this._isString(filter)) {
+        const selector = this._isNameFilter(filter) ? null : this._getSelector(filter);
+        back = obj.name === filter || (!!selector && selector.matches(obj));
+      }
+      else if (filter instanceof RegExp) {
+        // search ignores lastIndex, which test would carry over from one DisplayObject to the next for global and sticky RegExps
+        back = this._isString(obj.name) && obj.name.search(filter) !== -1;
+      }
+      else if (typeof filter === 'function') {
+        back = !!filter(obj);
+      }
+      else {
+        back = obj === filter;
+      }
+    }
+
+    return back;
+  }
+
+  /**
+   * Retrieves the local bounds of a DisplayObject, guarding against the cases where getBounds throws instead of returning null
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to get the bounds of
+   * @return {Rectangle} the bounds of obj in its local coordinate space, or null if they are not available
+   */
+  _getObjectBounds(obj) {
+    let bounds = null;
+    try {
+      if (obj.frameBounds && obj.frameBounds.length > 0 && Number.isInteger(obj.currentFrame) && obj.currentFrame >= obj.frameBounds.length) {
+        // If a createjs.MovieClip is told to gotoAndPlay without being stopped, it will end up with a currentFrame 1 index off the end of the frameBounds array.
+        // That results in getBounds throwing an exception when it tries to copy the frameBounds at the current frame.  So, instead of letting that happen, just use
+        // the last entry in the frameBounds array when that case is detected.
+        bounds = obj.frameBounds[obj.frameBounds.length - 1];
+      } else {
+        bounds = obj.getBounds();
+      }
+    } catch (err) {
+      // ignore, this is mainly for the case of undefined bounds
+    }
+
+    return bounds || null;
+  }
+
+  /**
+   * Converts the corners of local bounds of a DisplayObject to the stage's coordinate space.  For a rotated or skewed DisplayObject these form a rotated or slanted quad rather than an axis aligned rectangle.
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject the bounds belong to
+   * @param {!Rectangle} bounds - bounds in obj's local coordinate space
+   * @return {Point[]} the corners in global coordinates, ordered top left, top right, bottom right, and bottom left as seen in obj's local space
+   */
+  _getGlobalCorners(obj, bounds) {
+    return [
+      obj.localToGlobal(bounds.x, bounds.y),
+      obj.localToGlobal(bounds.x + bounds.width, bounds.y),
+      obj.localToGlobal(bounds.x + bounds.width, bounds.y + bounds.height),
+      obj.localToGlobal(bounds.x, bounds.y + bounds.height),
+    ];
+  }
+
+  /**
+   * Converts local bounds of a DisplayObject to the axis aligned rectangle that contains them in the stage's coordinate space
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject the bounds belong to
+   * @param {!Rectangle} bounds - bounds in obj's local coordinate space
+   * @return {object} the x, y, width, and height of the bounds in global coordinates
+   */
+  _getGlobalBounds(obj, bounds) {
+    return this._getCornersBounds(this._getGlobalCorners(obj, bounds));
+  }
+
+  /**
+   * Finds the axis aligned rectangle that contains a set of points
+   * @access private
+   * @param {!Point[]} corners - points to contain
+   * @return {object} the x, y, width, and height of the rectangle
+   */
+  _getCornersBounds(corners) {
+    const xs = corners.map((pt) => pt.x);
+    const ys = corners.map((pt) => pt.y);
+    const minX = Math.min.apply(null, xs);
+    const minY = Math.min.apply(null, ys);
+
+    return {
+      x:      minX,
+      y:      minY,
+      width:  Math.max.apply(null, xs) - minX,
+      height: Math.max.apply(null, ys) - minY,
+    };
+  }
+
+  /**
+   * Breaks down the concatenated transform of a DisplayObject into the global position of its registration point along with its overall rotation, skew, and scale
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to get the transform of
+   * @return {object} x, y, rotation, skewX, skewY, scaleX, and scaleY, with angles in degrees
+   */
+  _decomposeTransform(obj) {
+    // decompose only sets the rotation when it doesn't use skew for it, which includes a matrix without any rotation
+    const transform = obj.getConcatenatedMatrix().decompose({ rotation: 0 });
+    const globalPos = obj.parent ? obj.parent.localToGlobal(obj.x, obj.y) : { x: obj.x, y: obj.y };
+    transform.x = globalPos.x;
+    transform.y = globalPos.y;
+
+    return transform;
   }
 
   /**
-   * Event handler for preventing mouse events from being processed normally while click to dump is enabled
+   * Formats a decomposed transform for the console
    * @access private
-   * @param {!Event} evt - an event object
+   * @param {!object} transform - x, y, rotation, skewX, skewY, scaleX, and scaleY
+   * @return {string} the transform as readable text
    */
-  _suppressEvent(evt) {
-    evt.stopPropagation();
+  _formatTransform(transform) {
+    return [ 'x', 'y', 'rotation', 'skewX', 'skewY', 'scaleX', 'scaleY' ].map((key) => {
+      return key + '=' + Number(transform[key].toFixed(3));
+    }).join(' ');
   }
 
   /**
-   * Since createjs.Text's toString method is overriden, this allows for all DisplayObjects to have a consistent and useful name when dumping a DisplayObject to the console
+   * Determines the name of the most specific CreateJS display class that a DisplayObject is an instance of
    * @access private
-   * @param {!DisplayObject} obj - DisplayObject to create a uniform console dump name for
-   * @return {string} String to display for labeling the DisplayObject
+   * @param {!DisplayObject} obj - DisplayObject to get the type of
+   * @return {string} class name such as 'Container' or 'Text', or 'DisplayObject' if no more specific class matches
    */
-  _getObjectDisplayName(obj) {
-    let back;
-
-    if (obj instanceof createjs.Text) {
-      back = '[Text (name=' + obj.name + ')]';
-    }
-    else {
-      back = obj.toString();
+  _getObjectType(obj) {
+    // ordered from most to least specific since several of these classes extend the others
+    const types = [ 'Stage', 'MovieClip', 'SpriteContainer', 'BitmapText', 'Container', 'Sprite', 'Bitmap', 'Text', 'Shape', 'DOMElement' ];
+    for (let i = 0; i < types.length; i++) {
+      const type = createjs[types[i]];
+      if (type && obj instanceof type) {
+        return types[i];
+      }
     }
 
-    back += ' (id=' + obj.id + ')';
-
-    return back;
+    return 'DisplayObject';
   }
 
   /**
-   * Retrieves the appropriate color to use when displaying info about a DisplayObject at a particular nesting level
+   * Recursively creates a JSON serializable snapshot of obj and its children
    * @access private
-   * @param {!int} nestLevel - 0-based nesting level
-   * @return {string} Color to use
+   * @param {!DisplayObject} obj - DisplayObject to snapshot
+   * @param {boolean} [recurse=true] - true to include snapshots of obj's children, false to leave the children field null
+   * @return {object} plain object describing obj
    */
-  _getNestColor(nestLevel) {
-    if (nestLevel > (this.nestColors.length - 1)) {
-      return this.nestColors[this.nestColors.length - 1];
+  _snapshotObject(obj, recurse = true) {
+    const bounds = this._getObjectBounds(obj);
+    const globalPos = obj.parent ? obj.parent.localToGlobal(obj.x, obj.y) : { x: obj.x, y: obj.y };
+
+    const back = {
+      id:            obj.id,
+      name:          obj.name,
+      type:          this._getObjectType(obj),
+      parentId:      obj.parent ? obj.parent.id : null,
+      visible:       obj.visible,
+      alpha:         obj.alpha,
+      x:             obj.x,
+      y:             obj.y,
+      globalX:       globalPos.x,
+      globalY:       globalPos.y,
+      regX:          obj.regX,
+      regY:          obj.regY,
+      scaleX:        obj.scaleX,
+      scaleY:        obj.scaleY,
+      rotation:      obj.rotation,
+      skewX:         obj.skewX,
+      skewY:         obj.skewY,
+      bounds:        bounds ? { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height } : null,
+      globalBounds:  bounds ? this._getGlobalBounds(obj, bounds) : null,
+      mouseEnabled:  obj.mouseEnabled,
+      mouseChildren: obj.mouseChildren,
+      cacheID:       obj.cacheID,
+      filters:       obj.filters ? obj.filters.map((filter) => filter.toString()) : null,
+      mask:          obj.mask ? obj.mask.id : null,
+      image:         null,
+      children:      null,
+    };
+
+    const imageInspector = new ImageInspector(this);
+    if (imageInspector.isImage(obj)) {
+      back.image = imageInspector.describe(obj);
     }
-    else {
-      return this.nestColors[nestLevel];
+
+    if (recurse && obj.children) {
+      back.children = obj.children.filter((child) => {
+        return child !== this._container;
+      }).map((child) => {
+        return this._snapshotObject(child);
+      });
     }
+
+    return back;
   }
 
   /**
-   * Recursively dumps information about obj and its children to the console
+   * Recursively records the state of obj and its children, keyed by id, for comparing with the diff function
    * @access private
-   * @param {!DisplayObject} obj - DisplayObject to dump info about
-   * @param {!string} name - string to identify the DisplayObject's group in the console output
-   * @param {!boolean} expand - true if the console group for the object should be initally expanded, false for collapsed
+   * @param {!DisplayObject} [obj=this._stage] - DisplayObject to record
+   * @param {!int} [index=0] - index of obj in its parent's children
+   * @param {!object} [back={}] - object to add the records to
+   * @return {object} map of DisplayObject id to an object with the DisplayObject (ref), its snapshot without children (state), its index in its parent (index), and the ids of its children (childIds)
    */
-  _dumpObject(obj, name, expand) {
-    if (this._container == obj) {
-      return;
-    }
-
-    if (expand) {
-      console.group(name);
-    }
-    else {
-      console.groupCollapsed(name);
-    }
-    console.log('ref:             ', obj);
+  _captureLayout(obj = this._stage, index = 0, back = {}) {
+    const state = this._snapshotObject(obj, false);
+    delete state.children;
+
+    const children = obj.children ? obj.children.filter((child) => child !== this._container) : [];
+    back[obj.id] = {
+      ref:      obj,
+      state,
+      index,
+      childIds: children.map((child) => child.id),
+    };
 
-    let bounds;
-    try {
-      bounds = obj.getBounds();
-    } catch (err) {
-      // suppress the rare case of getBounds throwing an exception instead of returning null
-    }
+    children.forEach((child, i) => {
+      this._captureLayout(child, i, back);
+    });
 
-    console.log('visible:         ' + obj.visible);
-    console.log('alpha:           ' + obj.alpha);
-    console.log('x:               ' + obj.x);
-    console.log('y:               ' + obj.y);
-    console.log('bounds:          ' + bounds);
-    console.log('regX:            ' + obj.regX);
-    console.log('regY:            ' + obj.regY);
-    console.log('scaleX:          ' + obj.scaleX);
-    console.log('scaleY:          ' + obj.scaleY);
-    console.log('rotation:        ' + obj.rotation);
-    console.log('transformMatrix: ' + obj.transformMatrix);
-    console.log('mouseChildren:   ' + obj.mouseChildren);
-    console.log('mouseEnabled:    ' + obj.mouseEnabled);
-    console.log('cachedStatus:    ' + obj.cacheID);
-    console.log('filters:         ' + obj.filters);
+    return back;
+  }
 
-    if (obj.children) {
-      console.group('Children:');
-      obj.children.forEach((child, i) => {
-        this._dumpObject(child, this._getObjectDisplayName(child), false);
-      });
-      console.groupEnd();
-    }
-    else {
-      console.log('Children: None');
+  /**
+   * Determines the position of a DisplayObject among its siblings, only counting siblings that have the same parent in another layout.  This keeps adding or removing a sibling from being reported as a reorder.
+   * @access private
+   * @param {!object} layout - result of _captureLayout that entry is from
+   * @param {!object} entry - record of the DisplayObject in layout
+   * @param {!object} other - result of _captureLayout being compared against
+   * @return {int} 0-based position of the DisplayObject among the shared siblings
+   */
+  _getSiblingOrder(layout, entry, other) {
+    const parent = layout[entry.state.parentId];
+    if (!parent) {
+      return 0;
     }
 
-    console.groupEnd();
+    return parent.childIds.filter((id) => {
+      return other[id] && other[id].state.parentId === entry.state.parentId;
+    }).indexOf(entry.state.id);
   }
 
   /**
-   * Recursively searches obj and its children for the first DisplayObject for which func returns true
+   * Compares two DisplayObject snapshots created by _captureLayout
    * @access private
-   * @param {!DisplayObject} obj - DisplayObject to check it and its children
-   * @param {!function(obj: DisplayObject): boolean} func - a function that takes a DisplayObject as an argument and returns true if it is the matching DisplayObject, or false otherwise
-   * @return {DisplayObject} The matching DisplayObject, or null if none is found
+   * @param {!object} before - earlier snapshot
+   * @param {!object} after - later snapshot
+   * @param {!number} tolerance - numeric differences with a magnitude less than or equal to this are ignored
+   * @return {object} map of property name to an object with the before and after values, for each property that changed.  Bounds properties are compared per field, such as 'bounds.width'.
    */
-  _searchForObject(obj, func) {
-    let back = null;
+  _diffStates(before, after, tolerance) {
+    const back = {};
+    const compare = (key, a, b) => {
+      let changed;
+      if (this._isNumber(a) && this._isNumber(b)) {
+        changed = Math.abs(a - b) > tolerance;
+      }
+      else if ((!!a && typeof a === 'object') || (!!b && typeof b === 'object')) {
+        changed = JSON.stringify(a) !== JSON.stringify(b);
+      }
+      else {
+        // NaN is the one value not equal to itself, and an unchanged NaN shouldn't be reported
+        changed = a !== b && !(Number.isNaN(a) && Number.isNaN(b));
+      }
 
-    if (func(obj)) {
-      back = obj;
-    }
-    else if (obj.children) {
-      for (let i = 0; i < obj.children.length && !back; i++) {
-        const child = obj.children[i];
-        back = this._searchForObject(child, func);
+      if (changed) {
+        back[key] = { before: a, after: b };
       }
-    }
+    };
+
+    Object.keys(before).forEach((key) => {
+      if (key === 'bounds' || key === 'globalBounds') {
+        if (before[key] && after[key]) {
+          Object.keys(before[key]).forEach((field) => {
+            compare(key + '.' + field, before[key][field], after[key][field]);
+          });
+        }
+        else if (before[key] !== after[key]) {
+          back[key] = { before: before[key], after: after[key] };
+        }
+      }
+      else if (key !== 'id' && key !== 'parentId') {
+        compare(key, before[key], after[key]);
+      }
+    });
 
     return back;
   }
 
   /**
-   * Recursively searches obj and its children for all DisplayObjects for which func returns true
+   * Dumps the result of the diff function to the console
    * @access private
-   * @param {!DisplayObject} obj - DisplayObject to check it and its children
-   * @param {!function(obj: DisplayObject): boolean} func - a function that takes a DisplayObject as an argument and returns true if it is the matching DisplayObject, or false otherwise
-   * @return {DisplayObject[]} Array of all matching DisplayObjects
+   * @param {!object} result - result of the diff function
+   * @param {!object} before - baseline layout from _captureLayout
+   * @param {!object} after - current layout from _captureLayout
    */
-  _searchForObjects(obj, func) {
-    let back = [];
+  _dumpDiff(result, before, after) {
+    const getRef = (id) => {
+      return after[id] ? after[id].ref : before[id].ref;
+    };
+    const dumpGroup = (title, items, describe) => {
+      if (items.length > 0) {
+        console.group(title + ' (' + items.length + ')');
+        items.forEach((item) => {
+          const ref = getRef(item.id);
+          console.log(this._getObjectDisplayName(ref) + ' ' + describe(item), ref);
+        });
+        console.groupEnd();
+      }
+    };
 
-    if (func(obj)) {
-      back.push(obj);
+    console.group('Display list changes since baseline');
+
+    dumpGroup('Added', result.added, (item) => 'to parent ' + item.parentId + ' at index ' + item.index);
+    dumpGroup('Removed', result.removed, (item) => 'from parent ' + item.parentId + ' at index ' + item.index);
+    dumpGroup('Reparented', result.reparented, (item) => 'from parent ' + item.fromParentId + ' to parent ' + item.toParentId);
+    dumpGroup('Reordered', result.reordered, (item) => 'from index ' + item.fromIndex + ' to index ' + item.toIndex);
+
+    if (result.changed.length > 0) {
+      console.group('Changed (' + result.changed.length + ')');
+      result.changed.forEach((item) => {
+        const ref = getRef(item.id);
+        console.groupCollapsed(this._getObjectDisplayName(ref));
+        console.log('ref:', ref);
+        Object.keys(item.changes).forEach((key) => {
+          console.log(key + ': ' + JSON.stringify(item.changes[key].before) + ' -> ' + JSON.stringify(item.changes[key].after));
+        });
+        console.groupEnd();
+      });
+      console.groupEnd();
     }
-    else if (obj.children) {
-      for (let i = 0; i < obj.children.length; i++) {
-        const child = obj.children[i];
-        back = back.concat(this._searchForObjects(child, func));
-      }
+
+    if (result.added.length + result.removed.length + result.reparented.length + result.reordered.length + result.changed.length === 0) {
+      console.log('No changes');
     }
 
-    return back;
+    console.groupEnd();
   }
 
   /**
-   * Checks if the DisplayObject matches any of the filters
+   * Dumps the result of the measure function to the console
    * @access private
-   * @param {!DisplayObject} obj - DisplayObject to check against filters
-   * @return {boolean} true if the DisplayObject matches at least one filter, false if it matches none
+   * @param {!object} result - result of the measure function
    */
-  _checkFilters(obj) {
-    let back = false;
+  _dumpMeasurement(result) {
+    const describe = (item) => {
+      return item instanceof createjs.DisplayObject ? this._getObjectDisplayName(item) : 'point ' + item.x + ',' + item.y;
+    };
+    const format = (key) => {
+      return result.stage[key].toFixed(1) + 'px (' + result.local[key].toFixed(3) + ')';
+    };
 
-    for (let i = 0; i < this._filters.length && !back; i++) {
-      const filter = this._filters[i];
-      if (this._isNumber(filter)) {
-        back = obj.id === filter;
-      }
-      else if (this._isString(filter)) {
-        back = obj.name === filter;
-      }
-      else {
-        back = obj === filter;
-      }
+    console.group('Measurement from ' + describe(result.a) + ' to ' + describe(result.b));
+    console.log('local units of ' + this._getObjectDisplayName(result.ancestor), result.ancestor);
+    console.log('gap: horizontal ' + format('horizontalGap') + ', vertical ' + format('verticalGap'));
+    console.log('edges: left ' + format('left') + ', right ' + format('right') + ', top ' + format('top') + ', bottom ' + format('bottom'));
+    console.log('centers: ' + format('centerX') + ', ' + format('centerY'));
+    console.log('reg points: ' + format('regX') + ', ' + format('regY'));
+    if (result.alignments.length > 0) {
+      console.log('aligned: ' + result.alignments.map((alignment) => alignment.description).join(', '));
     }
+    console.groupEnd();
+  }
 
-    return back;
+  /**
+   * Dumps the result of the explainHit function to the console
+   * @access private
+   * @param {!object} result - result of the explainHit function
+   */
+  _dumpHitExplanation(result) {
+    const describeListeners = (listeners) => {
+      const parts = [];
+      Object.keys(listeners.bubble).forEach((type) => {
+        parts.push(type + ' (' + listeners.bubble[type] + ')');
+      });
+      Object.keys(listeners.capture).forEach((type) => {
+        parts.push(type + ' (' + listeners.capture[type] + ' capture)');
+      });
+      return parts.length > 0 ? parts.join(', ') : 'none';
+    };
+
+    console.group('Hit test at ' + result.point.x + ',' + result.point.y + (result.target ? ' for ' + this._getObjectDisplayName(result.target) : ''));
+    console.log(result.summary);
+    result.reasons.slice(1).forEach((reason) => {
+      console.log('also: ' + reason);
+    });
+    result.chain.forEach((entry) => {
+      console.groupCollapsed(this._getObjectDisplayName(entry.object));
+      console.log('ref:', entry.object);
+      console.log('visible:       ' + entry.visible + ', alpha: ' + entry.alpha);
+      console.log('mouseEnabled:  ' + entry.mouseEnabled + (entry.mouseChildren === null ? '' : ', mouseChildren: ' + entry.mouseChildren));
+      console.log('hitArea:       ' + (entry.hitArea ? 'yes' : 'no') + ', mask: ' + (entry.mask ? (entry.inMask ? 'yes, point inside' : 'yes, point outside') : 'no'));
+      console.log('listeners:     ' + describeListeners(entry.listeners));
+      entry.siblingsOnTop.forEach((sibling) => {
+        console.log('covered by:    ' + this._getObjectDisplayName(sibling), sibling);
+      });
+      console.groupEnd();
+    });
+    console.groupEnd();
   }
 
   /**
-   * Creates the DisplayObjects that display information about a DisplayObject in the stage.  If the stage's DisplayObject has children, this function will recurse on its children.
+   * Adds the DisplayObjects that display information about a DisplayObject in the stage.  If the stage's DisplayObject has children, this function will recurse on its children.  The DisplayObjects for each DisplayObject are kept in a group that is reused between updates, and only rebuilt when what they show changes.
    * @access private
    * @param {!Container} container - container to add DisplayObjects to
    * @param {!DisplayObject} obj - DisplayObject to display information about
    * @param {!int} [nestLevel=0] - 0-based nesting level of obj
+   * @param {!object} [shown={}] - map of the ids of the DisplayObjects shown so far in this update to true, which obj's id is added to if it is shown
    */
-  _addObjectToContainer(container, obj, nestLevel = 0) {
+  _addObjectToContainer(container, obj, nestLevel = 0, shown = {}) {
     if (obj) {
       // do child objects first so that their display is behind their parent
       if (Array.isArray(obj.children)) {
         obj.children.forEach((child) => {
-          this._addObjectToContainer(container, child, nestLevel + 1);
+          this._addObjectToContainer(container, child, nestLevel + 1, shown);
         });
       }
 
       const includeObj = !this._filters || this._checkFilters(obj);
       if (includeObj) {
-        let bounds;
-        try {
-          if (obj.frameBounds && obj.frameBounds.length > 0 && Number.isInteger(obj.currentFrame) && obj.currentFrame >= obj.frameBounds.length) {
-            // If a createjs.MovieClip is told to gotoAndPlay without being stopped, it will end up with a currentFrame 1 index off the end of the frameBounds array.
-            // That results in getBounds throwing an exception when it tries to copy the frameBounds at the current frame.  So, instead of letting that happen, just use
-            // the last entry in the frameBounds array when that case is detected.
-            bounds = obj.frameBounds[obj.frameBounds.length - 1];
-          } else {
-            bounds = obj.getBounds();
-          }
-        } catch (err) {
-          // ignore, this is mainly for the case of undefined bounds
-        }
+        const bounds = this._getObjectBounds(obj);
         if (!bounds) {
           return;
         }
         const globalPos = obj.parent.localToGlobal(obj.x, obj.y);
 
-        const ul = obj.localToGlobal(bounds.x, bounds.y);
-        const lr = obj.localToGlobal(bounds.x + bounds.width, bounds.y + bounds.height);
-        const displayBounds = {
-          x: ul.x,
-          y: ul.y,
-          width: lr.x - ul.x,
-          height: lr.y - ul.y,
-        };
+        const corners = this._getGlobalCorners(obj, bounds);
+        const displayBounds = this._getCornersBounds(corners);
+
+        const signature = this._getOverlaySignature(obj, bounds, corners, globalPos, nestLevel);
+        let overlay = this._objectOverlays[obj.id];
+        if (!overlay || overlay.obj !== obj) {
+          const group = new createjs.Container();
+          group.name = 'si_object_' + obj.id;
+          overlay = { obj, group, signature: null };
+          this._objectOverlays[obj.id] = overlay;
+        }
+        shown[obj.id] = true;
+        container.addChild(overlay.group);
+        if (overlay.signature === signature) {
+          return;
+        }
+        overlay.signature = signature;
+        const group = overlay.group;
+        group.removeAllChildren();
 
         const nestColor = this._getNestColor(nestLevel);
         if (this.propFilters.bounds) {
-          this._displayBounds(container, obj, bounds, displayBounds, globalPos, nestColor);
+          this._displayBounds(group, obj, bounds, corners, nestColor);
+        }
+        if (this.propFilters.globalBounds) {
+          this._displayGlobalBounds(group, obj, displayBounds, nestColor);
         }
         if (this.propFilters.pos) {
-          this._displayPos(container, obj, bounds, globalPos, nestColor);
+          this._displayPos(group, obj, bounds, globalPos, nestColor);
         }
         if (this.propFilters.regPos) {
-          this._displayRegPos(container, obj, bounds, globalPos, nestColor);
+          this._displayRegPos(group, obj, bounds, globalPos, nestColor);
         }
         if (this.propFilters.width) {
-          this._displayWidth(container, obj, bounds, displayBounds, globalPos, nestColor);
+          this._displayWidth(group, obj, bounds, corners, nestColor);
         }
         if (this.propFilters.height) {
-          this._displayHeight(container, obj, bounds, displayBounds, globalPos, nestColor);
+          this._displayHeight(group, obj, bounds, corners, nestColor);
         }
 
         const infoContainer           = new createjs.Container();
@@ -536,6 +2905,9 @@ export default class StageInspector {
         if (this.propFilters.parentId) {
           nextY = this._displayParentId(infoContainer, obj, bounds, globalPos, nextY, nestColor);
         }
+        if (this.propFilters.transform) {
+          nextY = this._displayTransform(infoContainer, obj, nextY, nestColor);
+        }
 
         for (const key of Object.keys(obj)) {
           if (key.indexOf('_') != 0 && specialKeys.indexOf(key) == -1) {
@@ -547,12 +2919,42 @@ export default class StageInspector {
 
         if (nextY > 0) {
           this._drawInfoBackground(infoContainer, infoContainerBackground, displayBounds);
-          container.addChild(infoContainer);
+          group.addChild(infoContainer);
         }
       }
     }
   }
 
+  /**
+   * Creates a string that changes whenever anything the overlay shows for a DisplayObject changes
+   * @access private
+   * @param {!DisplayObject} obj - the DisplayObject to display information about
+   * @param {!Rectangle} bounds - result of obj.getBounds()
+   * @param {!Point[]} corners - corners of the bounds in global coordinates, from _getGlobalCorners
+   * @param {!Point} globalPos - obj's position relative to the stage
+   * @param {!int} nestLevel - 0-based nesting level of obj
+   * @return {string} the signature
+   */
+  _getOverlaySignature(obj, bounds, corners, globalPos, nestLevel) {
+    const mtx = obj.getConcatenatedMatrix();
+    const values = [
+      this._overlaySettingsKey, nestLevel, obj.parent.id, obj.x, obj.y, obj.regX, obj.regY,
+      bounds.x, bounds.y, bounds.width, bounds.height,
+      mtx.a, mtx.b, mtx.c, mtx.d, mtx.tx, mtx.ty,
+      globalPos.x, globalPos.y,
+    ];
+    corners.forEach((corner) => {
+      values.push(corner.x, corner.y);
+    });
+    Object.keys(this.propFilters).forEach((key) => {
+      if (this.propFilters[key] && !(obj[key] instanceof Object)) {
+        values.push(key + '=' + obj[key]);
+      }
+    });
+
+    return values.join('|');
+  }
+
   /**
    * Draws the background for an infoContainer
    * @access private
@@ -574,33 +2976,53 @@ export default class StageInspector {
   }
 
   /**
-   * Draws the bounds of a DisplayObject
+   * Draws the bounds of a DisplayObject as the quad they form in global coordinates, so the outline follows any rotation, skew, or flipping
    * @access private
    * @param {!Container} container - the stage inspector container to add DisplayObjects to
    * @param {!DisplayObject} obj - the DisplayObject to display information about
    * @param {!Rectangle} bounds - result of obj.getBounds()
-   * @param {!Rectangle} displayBounds - bounds converted to global coordinates
-   * @param {!Point} globalPos - obj's position relative to the stage
+   * @param {!Point[]} corners - corners of the bounds in global coordinates, from _getGlobalCorners
    * @param {!string} nestColor - color to use to display info
    */
-  _displayBounds(container, obj, bounds, displayBounds, globalPos, nestColor) {
-    const rect = new createjs.Shape();
-    rect.name = 'si_bounds_' + obj.id;
-    rect.graphics.setStrokeStyle(1);
-    rect.graphics.beginStroke(nestColor);
-    rect.graphics.drawRect(0, 0, displayBounds.width, displayBounds.height);
-    rect.x = displayBounds.x;
-    rect.y = displayBounds.y;
-    container.addChild(rect);
+  _displayBounds(container, obj, bounds, corners, nestColor) {
+    const quad = new createjs.Shape();
+    quad.name = 'si_bounds_' + obj.id;
+    quad.graphics.setStrokeStyle(1);
+    quad.graphics.beginStroke(nestColor);
+    quad.graphics.moveTo(corners[0].x, corners[0].y);
+    corners.slice(1).forEach((corner) => {
+      quad.graphics.lineTo(corner.x, corner.y);
+    });
+    quad.graphics.closePath();
+    container.addChild(quad);
 
     const text = new createjs.Text(bounds.x.toFixed(3) + ',' + bounds.y.toFixed(3), undefined, nestColor);
     text.name = 'si_boundsPos_' + obj.id;
     const textBounds = text.getBounds();
-    text.x = displayBounds.x - textBounds.width - 2;
-    text.y = displayBounds.y + 2;
+    text.x = corners[0].x - textBounds.width - 2;
+    text.y = corners[0].y + 2;
     container.addChild(text);
   }
 
+  /**
+   * Draws the axis aligned rectangle containing the bounds of a DisplayObject in global coordinates
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {!DisplayObject} obj - the DisplayObject to display information about
+   * @param {!Rectangle} displayBounds - bounds converted to global coordinates
+   * @param {!string} nestColor - color to use to display info
+   */
+  _displayGlobalBounds(container, obj, displayBounds, nestColor) {
+    const rect = new createjs.Shape();
+    rect.name = 'si_globalBounds_' + obj.id;
+    rect.graphics
+      .setStrokeStyle(1)
+      .setStrokeDash([4, 4])
+      .beginStroke(nestColor)
+      .drawRect(displayBounds.x, displayBounds.y, displayBounds.width, displayBounds.height);
+    container.addChild(rect);
+  }
+
   /**
    * Draws the position of a DisplayObject
    * @access private
@@ -663,42 +3085,126 @@ export default class StageInspector {
   }
 
   /**
-   * Draws the width of a DisplayObject horizontally centered just below the top edge of the bounds
+   * Draws the width of a DisplayObject centered just inside the top edge of the bounds, and turned to run along that edge
    * @access private
    * @param {!Container} container - the stage inspector container to add DisplayObjects to
    * @param {!DisplayObject} obj - the DisplayObject to display information about
    * @param {!Rectangle} bounds - result of obj.getBounds()
-   * @param {!Rectangle} displayBounds - bounds converted to global coordinates
-   * @param {!Point} globalPos - obj's position relative to the stage
+   * @param {!Point[]} corners - corners of the bounds in global coordinates, from _getGlobalCorners
    * @param {!string} nestColor - color to use to display info
    */
-  _displayWidth(container, obj, bounds, displayBounds, globalPos, nestColor) {
+  _displayWidth(container, obj, bounds, corners, nestColor) {
     const text = new createjs.Text(bounds.width.toFixed(3), undefined, nestColor);
     const textBounds = text.getBounds();
     text.name = 'si_width_' + obj.id;
-    text.x = displayBounds.x + displayBounds.width / 2 - textBounds.width / 2;
-    text.y = displayBounds.y + 2;
+    text.regX = textBounds.width / 2;
+    text.regY = -2;
+    text.x = (corners[0].x + corners[1].x) / 2;
+    text.y = (corners[0].y + corners[1].y) / 2;
+    text.rotation = this._getReadableAngle(corners[0], corners[1]);
     container.addChild(text);
   }
 
   /**
-   * Draws the height of a DisplayObject vertically centered just inside the left edge of the bounds.  The text is also rotated 90 degrees to be along the edge instead of perpendicular to it.
+   * Draws the height of a DisplayObject centered just inside the left edge of the bounds.  The text is also turned to run along the edge, which is rotated 90 degrees for an unrotated DisplayObject.
    * @access private
    * @param {!Container} container - the stage inspector container to add DisplayObjects to
    * @param {!DisplayObject} obj - the DisplayObject to display information about
    * @param {!Rectangle} bounds - result of obj.getBounds()
-   * @param {!Rectangle} displayBounds - bounds converted to global coordinates
-   * @param {!Point} globalPos - obj's position relative to the stage
+   * @param {!Point[]} corners - corners of the bounds in global coordinates, from _getGlobalCorners
    * @param {!string} nestColor - color to use to display info
    */
-  _displayHeight(container, obj, bounds, displayBounds, globalPos, nestColor) {
+  _displayHeight(container, obj, bounds, corners, nestColor) {
     const text = new createjs.Text(bounds.height.toFixed(3), undefined, nestColor);
     const textBounds = text.getBounds();
     text.name = 'si_height_' + obj.id;
-    text.regY = textBounds.height / 2;
-    text.x = displayBounds.x + textBounds.height / 2;
-    text.y = displayBounds.y + displayBounds.height / 2 + textBounds.height / 2;
-    text.rotation = -90;
+    text.regX = textBounds.width / 2;
+    text.x = (corners[0].x + corners[3].x) / 2;
+    text.y = (corners[0].y + corners[3].y) / 2;
+    text.rotation = this._getReadableAngle(corners[3], corners[0]);
+    container.addChild(text);
+  }
+
+  /**
+   * Finds the rotation for text to run along the line between two points while staying upright enough to read
+   * @access private
+   * @param {!Point} from - start of the line
+   * @param {!Point} to - end of the line
+   * @return {number} the rotation in degrees, between -90 and 90
+   */
+  _getReadableAngle(from, to) {
+    let angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+    if (angle > 90) {
+      angle -= 180;
+    }
+    else if (angle < -90) {
+      angle += 180;
+    }
+
+    return angle;
+  }
+
+  /**
+   * Draws an outline around the selected DisplayObject
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _displaySelection(container) {
+    const obj = this._selected;
+    const bounds = this._getObjectBounds(obj);
+    if (!bounds || (obj !== this._stage && !obj.parent)) {
+      return;
+    }
+
+    const displayBounds = this._getGlobalBounds(obj, bounds);
+    const shape = new createjs.Shape();
+    shape.name = 'si_selection_' + obj.id;
+    shape.graphics
+      .setStrokeStyle(2)
+      .beginStroke(this.selectionColor)
+      .drawRect(displayBounds.x - 1, displayBounds.y - 1, displayBounds.width + 2, displayBounds.height + 2);
+    container.addChild(shape);
+  }
+
+  /**
+   * Draws a highlight around a DisplayObject found by the lint function.  DisplayObjects without bounds are marked at their position instead.
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {!object} finding - finding from the lint function
+   */
+  _displayLintFinding(container, finding) {
+    const obj = finding.object;
+    if (!obj.parent) {
+      // no longer on the stage
+      return;
+    }
+
+    const color = this.lintColors[finding.severity];
+    const bounds = this._getObjectBounds(obj);
+    const shape = new createjs.Shape();
+    shape.name = 'si_lint_' + finding.rule + '_' + obj.id;
+    shape.graphics
+      .setStrokeStyle(3)
+      .setStrokeDash([6, 3])
+      .beginStroke(color);
+
+    let labelPos;
+    if (bounds) {
+      const displayBounds = this._getGlobalBounds(obj, bounds);
+      shape.graphics.drawRect(displayBounds.x, displayBounds.y, displayBounds.width, displayBounds.height);
+      labelPos = { x: displayBounds.x, y: displayBounds.y + displayBounds.height + 2 };
+    }
+    else {
+      labelPos = obj.parent.localToGlobal(obj.x, obj.y);
+      shape.graphics.drawCircle(labelPos.x, labelPos.y, 6);
+      labelPos.y += 8;
+    }
+    container.addChild(shape);
+
+    const text = new createjs.Text('\u26a0 ' + finding.rule, 'bold 10px sans-serif', color);
+    text.name = 'si_lintText_' + finding.rule + '_' + obj.id;
+    text.x = labelPos.x;
+    text.y = labelPos.y;
     container.addChild(text);
   }
 
@@ -722,6 +3228,37 @@ export default class StageInspector {
     return nextY + text.getMeasuredLineHeight();
   }
 
+  /**
+   * Draws the global position of a DisplayObject along with its overall rotation, skew, and scale from its concatenated transform.  The rotation and skew are left out while they are 0.
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {!DisplayObject} obj - the DisplayObject to display information about
+   * @param {!number} nextY - y coordiate in to use for placing the text in the infoContainer
+   * @param {!string} nestColor - color to use to display info
+   * @return {number} new nextY value for the next item in the infoContainer
+   */
+  _displayTransform(container, obj, nextY, nestColor) {
+    const transform = this._decomposeTransform(obj);
+    const lines = [ 'global: ' + transform.x.toFixed(3) + ',' + transform.y.toFixed(3) ];
+    if (transform.rotation !== 0) {
+      lines.push('global rotation: ' + transform.rotation.toFixed(3));
+    }
+    if (transform.skewX !== 0 || transform.skewY !== 0) {
+      lines.push('global skew: ' + transform.skewX.toFixed(3) + ',' + transform.skewY.toFixed(3));
+    }
+    lines.push('global scale: ' + transform.scaleX.toFixed(3) + ',' + transform.scaleY.toFixed(3));
+
+    lines.forEach((line, i) => {
+      const text = new createjs.Text(line, undefined, nestColor);
+      text.name = 'si_transform' + i + '_' + obj.id;
+      text.y = nextY;
+      container.addChild(text);
+      nextY += text.getMeasuredLineHeight();
+    });
+
+    return nextY;
+  }
+
   /**
    * Draws the info about a particular member field of a DisplayObject
    * @access private
@@ -748,5 +3285,11 @@ export default class StageInspector {
   }
 }
 
+/**
+ * the registered StageInspectors, along with a lookup of every StageInspector by its stage
+ * @access private
+ */
+StageInspector._registry = new Registry(StageInspector);
+
 // to help with debugging through the console
 window.StageInspector = StageInspector;
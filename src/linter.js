@@ -0,0 +1,239 @@
+/**
+ * Checks the DisplayObjects on a stage for common CreateJS layout mistakes
+ */
+export default class Linter {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage is checked
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage is checked
+     * @access private
+     */
+    this._inspector = inspector;
+  }
+
+  /**
+   * Runs the enabled rules against the stage's DisplayObjects
+   * @access public
+   * @param {?Array} filters - filter array where only DisplayObjects that match at least one filter are checked, or null to check all of them
+   * @param {!object} rules - map of rule name to true if the rule should be run
+   * @return {object[]} findings, each with the rule name, severity, message, and the offending DisplayObject (object)
+   */
+  run(filters, rules) {
+    const findings = [];
+    const stage = this._inspector._stage;
+
+    const visit = (obj) => {
+      if (obj === this._inspector._container) {
+        return;
+      }
+
+      if (obj !== stage && (!filters || this._inspector._checkFilters(obj, filters))) {
+        Linter.RULES.forEach((rule) => {
+          if (rules[rule.name] && rule.name !== 'overlap') {
+            const message = this['_' + rule.name](obj);
+            if (message) {
+              findings.push({ rule: rule.name, severity: rule.severity, message, object: obj });
+            }
+          }
+        });
+      }
+
+      if (obj.children) {
+        if (rules.overlap) {
+          this._overlap(obj.children, filters, findings);
+        }
+        obj.children.forEach(visit);
+      }
+    };
+    visit(stage);
+
+    return findings;
+  }
+
+  /**
+   * Gets the global bounds of a DisplayObject
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to get the bounds of
+   * @return {object} bounds in the stage's coordinate space, or null if obj doesn't have bounds
+   */
+  _getGlobalBounds(obj) {
+    const bounds = this._inspector._getObjectBounds(obj);
+    return bounds ? this._inspector._getGlobalBounds(obj, bounds) : null;
+  }
+
+  /**
+   * Checks if obj and all of its ancestors are visible
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj would be drawn, ignoring alpha
+   */
+  _isShown(obj) {
+    for (let cur = obj; cur; cur = cur.parent) {
+      if (!cur.visible) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Rule for DisplayObjects whose bounds are entirely outside of the stage's canvas
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {string} description of the problem, or null if there isn't one
+   */
+  _offStage(obj) {
+    const canvas = this._inspector._stage.canvas;
+    const bounds = this._getGlobalBounds(obj);
+    if (!canvas || !bounds || !this._isShown(obj)) {
+      return null;
+    }
+
+    if (bounds.x + bounds.width <= 0 || bounds.y + bounds.height <= 0 || bounds.x >= canvas.width || bounds.y >= canvas.height) {
+      return 'entirely outside of the stage at ' + bounds.x.toFixed(3) + ',' + bounds.y.toFixed(3);
+    }
+
+    return null;
+  }
+
+  /**
+   * Rule for sibling DisplayObjects whose bounds overlap.  Since this compares pairs of siblings, it is run per container instead of per DisplayObject.
+   * @access private
+   * @param {!DisplayObject[]} siblings - children of a container
+   * @param {?Array} filters - filter array that one of each pair must match to be reported
+   * @param {!object[]} findings - array to add findings to
+   */
+  _overlap(siblings, filters, findings) {
+    const candidates = siblings.filter((obj) => {
+      return obj !== this._inspector._container && obj.visible;
+    }).map((obj) => {
+      return { obj, bounds: this._getGlobalBounds(obj) };
+    }).filter((candidate) => {
+      return candidate.bounds && candidate.bounds.width > 0 && candidate.bounds.height > 0;
+    });
+
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        const a = candidates[i];
+        const b = candidates[j];
+        const included = !filters || this._inspector._checkFilters(a.obj, filters) || this._inspector._checkFilters(b.obj, filters);
+        if (included && a.bounds.x < b.bounds.x + b.bounds.width && b.bounds.x < a.bounds.x + a.bounds.width && a.bounds.y < b.bounds.y + b.bounds.height && b.bounds.y < a.bounds.y + a.bounds.height) {
+          findings.push({
+            rule:     'overlap',
+            severity: this._getSeverity('overlap'),
+            message:  'overlaps sibling ' + this._inspector._getObjectDisplayName(b.obj),
+            object:   a.obj,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Rule for Text whose measured width is wider than its lineWidth, which happens when a single word is too long to wrap
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {string} description of the problem, or null if there isn't one
+   */
+  _textOverflow(obj) {
+    if (!(obj instanceof createjs.Text) || !obj.lineWidth) {
+      return null;
+    }
+
+    const width = obj.getMeasuredWidth();
+    if (width > obj.lineWidth) {
+      return 'measured width ' + width.toFixed(3) + ' is wider than lineWidth ' + obj.lineWidth;
+    }
+
+    return null;
+  }
+
+  /**
+   * Rule for Bitmaps drawn at a non-integer global position, which makes them render blurry.  This is skipped when the stage will snap them to whole pixels.
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {string} description of the problem, or null if there isn't one
+   */
+  _blurryBitmap(obj) {
+    if (!(obj instanceof createjs.Bitmap) || (this._inspector._stage.snapToPixelEnabled && obj.snapToPixel)) {
+      return null;
+    }
+
+    const pos = obj.localToGlobal(0, 0);
+    if (Math.abs(pos.x - Math.round(pos.x)) > 0.01 || Math.abs(pos.y - Math.round(pos.y)) > 0.01) {
+      return 'drawn at the non-integer global position ' + pos.x.toFixed(3) + ',' + pos.y.toFixed(3);
+    }
+
+    return null;
+  }
+
+  /**
+   * Rule for DisplayObjects without bounds, which can't be displayed by show
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {string} description of the problem, or null if there isn't one
+   */
+  _nullBounds(obj) {
+    if (this._inspector._getObjectBounds(obj)) {
+      return null;
+    }
+
+    return 'getBounds() returns null, so it is not included in the overlay';
+  }
+
+  /**
+   * Rule for DisplayObjects with a scale of 0, which makes them invisible
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {string} description of the problem, or null if there isn't one
+   */
+  _zeroScale(obj) {
+    if (obj.scaleX === 0 || obj.scaleY === 0) {
+      return 'has a zero scale (scaleX=' + obj.scaleX + ', scaleY=' + obj.scaleY + ')';
+    }
+
+    return null;
+  }
+
+  /**
+   * Rule for invisible DisplayObjects that are still mouseEnabled, which is often a sign that a hidden button was meant to be disabled too
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {string} description of the problem, or null if there isn't one
+   */
+  _invisibleMouseEnabled(obj) {
+    if (!obj.visible && obj.mouseEnabled && obj.hasEventListener && (obj.hasEventListener('click') || obj.hasEventListener('mousedown'))) {
+      return 'is invisible but still mouseEnabled with mouse listeners';
+    }
+
+    return null;
+  }
+
+  /**
+   * Retrieves the severity of a rule
+   * @access private
+   * @param {!string} name - name of the rule
+   * @return {string} 'warning' or 'info'
+   */
+  _getSeverity(name) {
+    return Linter.RULES.filter((rule) => rule.name === name)[0].severity;
+  }
+}
+
+/**
+ * The rules that can be run, in the order they are run, and the severity of their findings
+ * @access public
+ */
+Linter.RULES = [
+  { name: 'offStage',              severity: 'warning' },
+  { name: 'overlap',               severity: 'info' },
+  { name: 'textOverflow',          severity: 'warning' },
+  { name: 'blurryBitmap',          severity: 'info' },
+  { name: 'nullBounds',            severity: 'info' },
+  { name: 'zeroScale',             severity: 'warning' },
+  { name: 'invisibleMouseEnabled', severity: 'info' },
+];
@@ -0,0 +1,341 @@
+/**
+ * Measures the distances between two DisplayObjects or points, and finds where their edges and centers line up
+ */
+export default class MeasureMode {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's DisplayObjects are measured
+   * @param {number} [tolerance=1] - how close, in stage pixels, edges or centers need to be to count as aligned
+   */
+  constructor(inspector, tolerance = 1) {
+    /**
+     * inspector whose stage's DisplayObjects are measured
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * how close, in stage pixels, edges or centers need to be to count as aligned
+     * @access private
+     */
+    this._tolerance = tolerance;
+
+    /**
+     * the picked DisplayObjects or points, in the order they were picked
+     * @access private
+     */
+    this._items = [];
+
+    /**
+     * measurement between the two picked items, or null if fewer than two are picked
+     * @access private
+     */
+    this._result = null;
+  }
+
+  /**
+   * Starts picking items to measure by clicking the stage and blocks normal mouse interaction with the stage's DisplayObjects
+   * @access public
+   */
+  enable() {
+    this._mouseListeners = this._inspector._blockMouseEvents({ click: this._onClick }, this);
+    this._inspector._setOverlayDrawer('measure', (container) => {
+      this._draw(container);
+    });
+  }
+
+  /**
+   * Stops picking items and re-enables normal mouse interaction with the stage's DisplayObjects
+   * @access public
+   */
+  disable() {
+    this._inspector._unblockMouseEvents(this._mouseListeners);
+    this._inspector._setOverlayDrawer('measure', null);
+    this._inspector._redrawStage();
+  }
+
+  /**
+   * Measures the distances between two DisplayObjects or points
+   * @access public
+   * @param {!(DisplayObject|object)} a - DisplayObject, or point with x and y in the stage's coordinate space
+   * @param {!(DisplayObject|object)} b - DisplayObject, or point with x and y in the stage's coordinate space
+   * @return {object} the measurement in stage pixels (stage) and in the units of the closest common ancestor (local), along with the common ancestor and the alignments found
+   */
+  measure(a, b) {
+    const ancestor = this._getCommonAncestor(a, b);
+
+    return {
+      a,
+      b,
+      ancestor,
+      stage:      this._getMetrics(a, b, null),
+      local:      this._getMetrics(a, b, ancestor),
+      alignments: this._getAlignments(this._getRect(a, null), this._getRect(b, null)),
+    };
+  }
+
+  /**
+   * Event handler for picking the topmost DisplayObject under the mouse, or the point under the mouse when alt is held.  Picking a third item starts a new measurement.
+   * @access private
+   * @param {!MouseEvent} evt - createjs click event
+   */
+  _onClick(evt) {
+    evt.stopPropagation();
+    const inspector = this._inspector;
+
+    let item = { x: evt.stageX, y: evt.stageY };
+    if (!evt.nativeEvent || !evt.nativeEvent.altKey) {
+      item = inspector._stage.getObjectsUnderPoint(evt.stageX, evt.stageY).filter((obj) => !inspector._isInspectorObject(obj))[0] || item;
+    }
+
+    if (this._items.length >= 2) {
+      this._items = [];
+    }
+    this._items.push(item);
+
+    this._result = null;
+    if (this._items.length === 2) {
+      this._result = this.measure(this._items[0], this._items[1]);
+      inspector._dumpMeasurement(this._result);
+    }
+    inspector._redrawStage();
+  }
+
+  /**
+   * Checks if a measured item is a DisplayObject rather than a point
+   * @access private
+   * @param {!(DisplayObject|object)} item - item to check
+   * @return {boolean} true if item is a DisplayObject
+   */
+  _isObject(item) {
+    return item instanceof createjs.DisplayObject;
+  }
+
+  /**
+   * Finds the closest container that both items are in
+   * @access private
+   * @param {!(DisplayObject|object)} a - DisplayObject or point
+   * @param {!(DisplayObject|object)} b - DisplayObject or point
+   * @return {DisplayObject} the common ancestor, which is the stage if either item is a point
+   */
+  _getCommonAncestor(a, b) {
+    if (!this._isObject(a) || !this._isObject(b)) {
+      const obj = this._isObject(a) ? a : b;
+      return this._isObject(obj) && obj.parent ? obj.parent : this._inspector._stage;
+    }
+
+    const ancestors = [];
+    for (let cur = a.parent; cur; cur = cur.parent) {
+      ancestors.push(cur);
+    }
+    for (let cur = b.parent; cur; cur = cur.parent) {
+      if (ancestors.indexOf(cur) !== -1) {
+        return cur;
+      }
+    }
+
+    return this._inspector._stage;
+  }
+
+  /**
+   * Converts a point from the stage's coordinate space or a DisplayObject's local space into another space
+   * @access private
+   * @param {DisplayObject} from - DisplayObject whose local space the point is in, or null for the stage's coordinate space
+   * @param {!number} x - x position of the point
+   * @param {!number} y - y position of the point
+   * @param {DisplayObject} space - DisplayObject whose local space to convert to, or null for the stage's coordinate space
+   * @return {object} the converted point
+   */
+  _convert(from, x, y, space) {
+    const global = from ? from.localToGlobal(x, y) : { x, y };
+    return space ? space.globalToLocal(global.x, global.y) : global;
+  }
+
+  /**
+   * Retrieves the axis aligned rectangle containing an item in a coordinate space.  Points and DisplayObjects without bounds are treated as an empty rectangle at their position.
+   * @access private
+   * @param {!(DisplayObject|object)} item - DisplayObject or point
+   * @param {DisplayObject} space - DisplayObject whose local space to use, or null for the stage's coordinate space
+   * @return {object} the rectangle's x, y, width, and height
+   */
+  _getRect(item, space) {
+    let corners;
+    const bounds = this._isObject(item) ? this._inspector._getObjectBounds(item) : null;
+    if (bounds) {
+      corners = [
+        this._convert(item, bounds.x, bounds.y, space),
+        this._convert(item, bounds.x + bounds.width, bounds.y, space),
+        this._convert(item, bounds.x + bounds.width, bounds.y + bounds.height, space),
+        this._convert(item, bounds.x, bounds.y + bounds.height, space),
+      ];
+    }
+    else {
+      corners = [ this._getRegPoint(item, space) ];
+    }
+
+    const xs = corners.map((pt) => pt.x);
+    const ys = corners.map((pt) => pt.y);
+    const minX = Math.min.apply(null, xs);
+    const minY = Math.min.apply(null, ys);
+
+    return {
+      x:      minX,
+      y:      minY,
+      width:  Math.max.apply(null, xs) - minX,
+      height: Math.max.apply(null, ys) - minY,
+    };
+  }
+
+  /**
+   * Retrieves the registration point of a DisplayObject, or the position of a point, in a coordinate space
+   * @access private
+   * @param {!(DisplayObject|object)} item - DisplayObject or point
+   * @param {DisplayObject} space - DisplayObject whose local space to use, or null for the stage's coordinate space
+   * @return {object} the point
+   */
+  _getRegPoint(item, space) {
+    return this._isObject(item) ? this._convert(item, item.regX, item.regY, space) : this._convert(null, item.x, item.y, space);
+  }
+
+  /**
+   * Calculates the distances between two items in a coordinate space
+   * @access private
+   * @param {!(DisplayObject|object)} a - DisplayObject or point
+   * @param {!(DisplayObject|object)} b - DisplayObject or point
+   * @param {DisplayObject} space - DisplayObject whose local space to use, or null for the stage's coordinate space
+   * @return {object} horizontal and vertical gaps between the facing edges (negative when they overlap), the differences between each pair of edges, centers, and registration points, measured from a to b
+   */
+  _getMetrics(a, b, space) {
+    const ra = this._getRect(a, space);
+    const rb = this._getRect(b, space);
+    const regA = this._getRegPoint(a, space);
+    const regB = this._getRegPoint(b, space);
+
+    return {
+      horizontalGap: Math.max(rb.x - (ra.x + ra.width), ra.x - (rb.x + rb.width)),
+      verticalGap:   Math.max(rb.y - (ra.y + ra.height), ra.y - (rb.y + rb.height)),
+      left:          rb.x - ra.x,
+      right:         (rb.x + rb.width) - (ra.x + ra.width),
+      top:           rb.y - ra.y,
+      bottom:        (rb.y + rb.height) - (ra.y + ra.height),
+      centerX:       (rb.x + rb.width / 2) - (ra.x + ra.width / 2),
+      centerY:       (rb.y + rb.height / 2) - (ra.y + ra.height / 2),
+      regX:          regB.x - regA.x,
+      regY:          regB.y - regA.y,
+    };
+  }
+
+  /**
+   * Finds the edges and centers of two rectangles that line up within the tolerance
+   * @access private
+   * @param {!object} ra - first rectangle in the stage's coordinate space
+   * @param {!object} rb - second rectangle in the stage's coordinate space
+   * @return {object[]} alignments, each with the axis ('x' for a vertical guide line or 'y' for a horizontal one), the position of the guide line, and a description such as 'left/left'
+   */
+  _getAlignments(ra, rb) {
+    const back = [];
+    const lines = (rect, axis) => {
+      const pos = axis === 'x' ? rect.x : rect.y;
+      const size = axis === 'x' ? rect.width : rect.height;
+      const names = axis === 'x' ? [ 'left', 'centerX', 'right' ] : [ 'top', 'centerY', 'bottom' ];
+      return [ pos, pos + size / 2, pos + size ].map((value, i) => ({ name: names[i], value }));
+    };
+
+    [ 'x', 'y' ].forEach((axis) => {
+      lines(ra, axis).forEach((lineA) => {
+        lines(rb, axis).forEach((lineB) => {
+          if (Math.abs(lineA.value - lineB.value) <= this._tolerance) {
+            back.push({ axis, position: (lineA.value + lineB.value) / 2, description: lineA.name + '/' + lineB.name });
+          }
+        });
+      });
+    });
+
+    return back;
+  }
+
+  /**
+   * Draws the picked items, the gaps and center distance between them, and any alignment guides
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _draw(container) {
+    const shape = new createjs.Shape();
+    shape.name = 'si_measure';
+    container.addChild(shape);
+    const g = shape.graphics;
+
+    const rects = this._items.map((item) => this._getRect(item, null));
+    rects.forEach((rect, i) => {
+      const reg = this._getRegPoint(this._items[i], null);
+      g.setStrokeStyle(1).beginStroke(MeasureMode.COLOR).drawRect(rect.x, rect.y, rect.width, rect.height).drawCircle(reg.x, reg.y, 3).endStroke();
+    });
+
+    if (rects.length < 2 || !this._result) {
+      return;
+    }
+
+    const ra = rects[0];
+    const rb = rects[1];
+    const stage = this._result.stage;
+    const local = this._result.local;
+    const label = (text, x, y) => {
+      const t = new createjs.Text(text, '10px sans-serif', MeasureMode.COLOR);
+      t.name = 'si_measureLabel';
+      t.x = x + 3;
+      t.y = y + 3;
+      container.addChild(t);
+    };
+    const format = (stageValue, localValue) => {
+      return stageValue.toFixed(1) + 'px (' + localValue.toFixed(3) + ')';
+    };
+
+    // gaps are drawn between the facing edges, through the middle of the space the two rectangles share on the other axis
+    const midY = (Math.max(ra.y, rb.y) + Math.min(ra.y + ra.height, rb.y + rb.height)) / 2;
+    const midX = (Math.max(ra.x, rb.x) + Math.min(ra.x + ra.width, rb.x + rb.width)) / 2;
+    if (stage.horizontalGap > 0) {
+      const x1 = ra.x + ra.width < rb.x ? ra.x + ra.width : rb.x + rb.width;
+      g.setStrokeStyle(1).beginStroke(MeasureMode.COLOR).moveTo(x1, midY).lineTo(x1 + stage.horizontalGap, midY).endStroke();
+      label(format(stage.horizontalGap, local.horizontalGap), x1, midY);
+    }
+    if (stage.verticalGap > 0) {
+      const y1 = ra.y + ra.height < rb.y ? ra.y + ra.height : rb.y + rb.height;
+      g.setStrokeStyle(1).beginStroke(MeasureMode.COLOR).moveTo(midX, y1).lineTo(midX, y1 + stage.verticalGap).endStroke();
+      label(format(stage.verticalGap, local.verticalGap), midX, y1);
+    }
+
+    const ca = { x: ra.x + ra.width / 2, y: ra.y + ra.height / 2 };
+    g.setStrokeStyle(1).setStrokeDash([4, 4]).beginStroke(MeasureMode.COLOR).moveTo(ca.x, ca.y).lineTo(ca.x + stage.centerX, ca.y + stage.centerY).endStroke().setStrokeDash(null);
+    label('center ' + format(stage.centerX, local.centerX) + ', ' + format(stage.centerY, local.centerY), ca.x + stage.centerX / 2, ca.y + stage.centerY / 2);
+
+    const regA = this._getRegPoint(this._items[0], null);
+    g.setStrokeStyle(1).setStrokeDash([1, 3]).beginStroke(MeasureMode.COLOR).moveTo(regA.x, regA.y).lineTo(regA.x + stage.regX, regA.y + stage.regY).endStroke().setStrokeDash(null);
+    label('reg ' + format(stage.regX, local.regX) + ', ' + format(stage.regY, local.regY), regA.x + stage.regX / 2, regA.y + stage.regY / 2);
+
+    const canvas = this._inspector._stage.canvas;
+    const width = canvas ? canvas.width : 10000;
+    const height = canvas ? canvas.height : 10000;
+    this._result.alignments.forEach((alignment) => {
+      g.setStrokeStyle(1).setStrokeDash([2, 2]).beginStroke(MeasureMode.GUIDE_COLOR);
+      if (alignment.axis === 'x') {
+        g.moveTo(alignment.position, 0).lineTo(alignment.position, height);
+      }
+      else {
+        g.moveTo(0, alignment.position).lineTo(width, alignment.position);
+      }
+      g.endStroke().setStrokeDash(null);
+    });
+  }
+}
+
+/**
+ * color for drawing the picked items and the distances between them
+ * @access public
+ */
+MeasureMode.COLOR = '#e8005c';
+
+/**
+ * color for drawing alignment guides
+ * @access public
+ */
+MeasureMode.GUIDE_COLOR = '#00c8ff';
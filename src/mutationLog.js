@@ -0,0 +1,325 @@
+/**
+ * Records when and from where DisplayObjects are added to, removed from, and reordered within the display list of the inspected stage.  This works by wrapping the child mutation functions of createjs.Container, which are put back once no MutationLogs are recording.  MovieClips add their timeline's children again on every frame, so those calls are only recorded when they add a child that wasn't already in the MovieClip.
+ */
+export default class MutationLog {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's display list is recorded
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage's display list is recorded
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * recorded mutations, oldest first
+     * @access private
+     */
+    this._entries = [];
+
+    /**
+     * time the recording started, from performance.now
+     * @access private
+     */
+    this._startTime = 0;
+  }
+
+  /**
+   * Starts recording mutations
+   * @access public
+   */
+  start() {
+    this._startTime = this._now();
+    if (MutationLog._active.indexOf(this) === -1) {
+      MutationLog._active.push(this);
+    }
+    MutationLog._install();
+  }
+
+  /**
+   * Stops recording mutations.  The recorded mutations are kept so they can still be queried.
+   * @access public
+   */
+  stop() {
+    const index = MutationLog._active.indexOf(this);
+    if (index !== -1) {
+      MutationLog._active.splice(index, 1);
+    }
+    if (MutationLog._active.length === 0) {
+      MutationLog._uninstall();
+    }
+  }
+
+  /**
+   * Retrieves the recorded mutations
+   * @access public
+   * @param {?Array} filters - filter array where only mutations whose child (or the other child of a swap) matches at least one filter are included, or null for all mutations
+   * @return {object[]} the mutations, oldest first
+   */
+  getEntries(filters) {
+    if (!filters) {
+      return this._entries.slice();
+    }
+
+    return this._entries.filter((entry) => {
+      return this._inspector._checkFilters(entry.child, filters) || (!!entry.other && this._inspector._checkFilters(entry.other, filters));
+    });
+  }
+
+  /**
+   * Retrieves the current time in milliseconds
+   * @access private
+   * @return {number} the time
+   */
+  _now() {
+    return window.performance ? window.performance.now() : Date.now();
+  }
+
+  /**
+   * Checks if a container is part of the inspected stage's display list, not including the stage inspector's overlay
+   * @access private
+   * @param {Container} container - container to check
+   * @return {boolean} true if it is in the display list
+   */
+  _isTracked(container) {
+    return !!container && container.stage === this._inspector._stage && !this._inspector._isInspectorObject(container);
+  }
+
+  /**
+   * Records a mutation
+   * @access private
+   * @param {!object} entry - the mutation, with op, method, parent, child, index, and the optional fromParent, fromIndex, and other
+   * @param {!string} stack - stack trace of the call that made the mutation
+   */
+  _record(entry, stack) {
+    this._entries.push(Object.assign({
+      time:       this._now() - this._startTime,
+      fromParent: null,
+      fromIndex:  -1,
+      other:      null,
+      stack,
+    }, entry));
+    if (this._entries.length > MutationLog.MAX_ENTRIES) {
+      this._entries.shift();
+    }
+  }
+
+  /**
+   * Replaces the child mutation functions of createjs.Container with ones that record each mutation for the active MutationLogs
+   * @access private
+   */
+  static _install() {
+    if (MutationLog._originals) {
+      return;
+    }
+
+    const proto = createjs.Container.prototype;
+    MutationLog._originals = {};
+    MutationLog.METHODS.forEach((method) => {
+      const original = proto[method];
+      MutationLog._originals[method] = original;
+      proto[method] = function() {
+        // mutation functions call each other, such as addChild removing the child from its old parent, so only the outermost call is recorded
+        if (MutationLog._depth > 0) {
+          return original.apply(this, arguments);
+        }
+
+        const args = Array.prototype.slice.call(arguments);
+        const before = MutationLog._describeBefore(this, method, args);
+        const relevant = MutationLog._active.some((log) => log._isTracked(this)) || before.some((item) => item.wasTracked.indexOf(true) !== -1);
+        MutationLog._depth++;
+        let back;
+        try {
+          back = original.apply(this, arguments);
+        }
+        finally {
+          MutationLog._depth--;
+        }
+        if (relevant) {
+          const changes = MutationLog._describeAfter(method, before);
+          if (changes.length > 0) {
+            // building the stack trace is the expensive part, so it is only done for mutations that are recorded
+            const stack = new Error('stack trace').stack;
+            changes.forEach((change) => {
+              change.log._record(change.entry, stack);
+            });
+          }
+        }
+
+        return back;
+      };
+    });
+
+    const clipProto = createjs.MovieClip ? createjs.MovieClip.prototype : null;
+    if (clipProto && typeof clipProto._addManagedChild === 'function') {
+      const original = clipProto._addManagedChild;
+      MutationLog._originalAddManagedChild = original;
+      clipProto._addManagedChild = function(child) {
+        // MovieClips add each of their timeline's children again on every frame, which only reorders the ones that are already theirs
+        if (child.parent !== this) {
+          return original.apply(this, arguments);
+        }
+
+        MutationLog._depth++;
+        try {
+          return original.apply(this, arguments);
+        }
+        finally {
+          MutationLog._depth--;
+        }
+      };
+    }
+  }
+
+  /**
+   * Puts back the original child mutation functions of createjs.Container
+   * @access private
+   */
+  static _uninstall() {
+    if (!MutationLog._originals) {
+      return;
+    }
+
+    const proto = createjs.Container.prototype;
+    Object.keys(MutationLog._originals).forEach((method) => {
+      proto[method] = MutationLog._originals[method];
+    });
+    MutationLog._originals = null;
+    if (MutationLog._originalAddManagedChild) {
+      createjs.MovieClip.prototype._addManagedChild = MutationLog._originalAddManagedChild;
+      MutationLog._originalAddManagedChild = null;
+    }
+  }
+
+  /**
+   * Describes the children affected by a call to a mutation function before it runs
+   * @access private
+   * @param {!Container} container - container the function was called on
+   * @param {!string} method - name of the function
+   * @param {!Array} args - arguments to the function
+   * @return {object[]} the affected children, each with the child, its parent and index before the call, and the other child for swaps
+   */
+  static _describeBefore(container, method, args) {
+    let children;
+    let other = null;
+    if (method === 'removeChildAt') {
+      children = args.map((index) => container.children[index]);
+    }
+    else if (method === 'removeAllChildren') {
+      children = container.children.slice();
+    }
+    else if (method === 'swapChildrenAt') {
+      children = [ container.children[args[0]] ];
+      other = container.children[args[1]];
+    }
+    else if (method === 'swapChildren') {
+      children = [ args[0] ];
+      other = args[1];
+    }
+    else {
+      children = args.filter((arg) => arg instanceof createjs.DisplayObject);
+    }
+
+    return children.filter((child) => !!child).map((child) => {
+      return {
+        child,
+        other,
+        fromParent:  child.parent,
+        fromIndex:   child.parent ? child.parent.children.indexOf(child) : -1,
+        wasTracked:  MutationLog._active.map((log) => log._isTracked(child.parent)),
+      };
+    });
+  }
+
+  /**
+   * Finds the mutations made by a call to a mutation function that each active MutationLog records.  Changes outside of a log's stage, changes to the stage inspector's overlay, and calls that left the child where it was are left out.
+   * @access private
+   * @param {!string} method - name of the function
+   * @param {!object[]} before - result of _describeBefore for the call
+   * @return {object[]} the mutations to record, each with the MutationLog (log) and the mutation (entry)
+   */
+  static _describeAfter(method, before) {
+    const back = [];
+    MutationLog._active.forEach((log, logIndex) => {
+      before.forEach((item) => {
+        const child = item.child;
+        const parent = child.parent;
+        const index = parent ? parent.children.indexOf(child) : -1;
+        if (!(item.wasTracked[logIndex] || log._isTracked(parent)) || child === log._inspector._container) {
+          return;
+        }
+        if (!item.other && item.fromParent === parent && item.fromIndex === index) {
+          return;
+        }
+
+        let op;
+        if (item.other) {
+          op = 'swap';
+        }
+        else if (!parent) {
+          op = 'remove';
+        }
+        else if (item.fromParent === parent) {
+          op = 'reorder';
+        }
+        else {
+          op = item.fromParent ? 'reparent' : 'add';
+        }
+
+        back.push({
+          log,
+          entry: {
+            op,
+            method,
+            parent:     parent || item.fromParent,
+            child,
+            index,
+            fromParent: item.fromParent,
+            fromIndex:  item.fromIndex,
+            other:      item.other,
+          },
+        });
+      });
+    });
+
+    return back;
+  }
+}
+
+/**
+ * names of the createjs.Container functions that are recorded
+ * @access public
+ */
+MutationLog.METHODS = [ 'addChild', 'addChildAt', 'removeChild', 'removeChildAt', 'removeAllChildren', 'setChildIndex', 'swapChildren', 'swapChildrenAt' ];
+
+/**
+ * most mutations kept by each MutationLog, after which the oldest are dropped
+ * @access public
+ */
+MutationLog.MAX_ENTRIES = 10000;
+
+/**
+ * MutationLogs that are recording
+ * @access private
+ */
+MutationLog._active = [];
+
+/**
+ * original createjs.Container functions while they are replaced, by name, or null if they aren't replaced
+ * @access private
+ */
+MutationLog._originals = null;
+
+/**
+ * original createjs.MovieClip _addManagedChild function while it is replaced, or null if it isn't replaced
+ * @access private
+ */
+MutationLog._originalAddManagedChild = null;
+
+/**
+ * number of mutation function calls in progress, used to only record the outermost call
+ * @access private
+ */
+MutationLog._depth = 0;
@@ -0,0 +1,163 @@
+/**
+ * Draws the stage inspector's overlay in its own transparent canvas placed over the stage's canvas, instead of adding the overlay to the stage's display list.  The canvas follows the stage's canvas as it moves, is resized, or is scaled with CSS, and is sized for the devicePixelRatio so the overlay is sharp.  Labels are kept at the same readable size no matter how much the stage is scaled.
+ */
+export default class OverlayCanvas {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose overlay is drawn
+   */
+  constructor(inspector) {
+    this._render = this._render.bind(this);
+
+    /**
+     * inspector whose overlay is drawn
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * canvas the overlay is drawn in, or null if not attached
+     * @access private
+     */
+    this._canvas = null;
+
+    /**
+     * stage that draws the overlay container in the canvas
+     * @access private
+     */
+    this._stage = null;
+
+    /**
+     * each label's position and scale as the overlay drew it, before it was scaled to stay readable
+     * @access private
+     */
+    this._labelTransforms = new WeakMap();
+  }
+
+  /**
+   * Creates the canvas over the stage's canvas, moves the overlay container to it, and starts redrawing it each time the stage redraws
+   * @access public
+   */
+  attach() {
+    this._canvas = document.createElement('canvas');
+    this._canvas.className = OverlayCanvas.CLASS_NAME;
+    Object.assign(this._canvas.style, {
+      position:      'absolute',
+      pointerEvents: 'none',
+      zIndex:        '9999',
+    });
+    document.body.appendChild(this._canvas);
+
+    this._stage = new createjs.Stage(this._canvas);
+    // the canvas lets the mouse through to the stage under it, so the window listeners for mouse events are only overhead
+    this._stage.enableDOMEvents(false);
+    this._stage.addChild(this._inspector._container);
+    this._inspector._stage.addEventListener('drawend', this._render);
+    window.addEventListener('resize', this._render);
+    this._render();
+  }
+
+  /**
+   * Stops redrawing the overlay and removes the canvas
+   * @access public
+   */
+  detach() {
+    this._inspector._stage.removeEventListener('drawend', this._render);
+    window.removeEventListener('resize', this._render);
+    this._stage.removeChild(this._inspector._container);
+    if (this._canvas.parentNode) {
+      this._canvas.parentNode.removeChild(this._canvas);
+    }
+    this._canvas = null;
+    this._stage = null;
+  }
+
+  /**
+   * Retrieves the canvas the overlay is drawn in
+   * @access public
+   * @return {HTMLCanvasElement} the canvas, or null if not attached
+   */
+  get canvas() {
+    return this._canvas;
+  }
+
+  /**
+   * Lines the canvas up with the stage's canvas and draws the overlay
+   * @access private
+   */
+  _render() {
+    if (!this._canvas) {
+      return;
+    }
+
+    const source = this._inspector._stage.canvas;
+    const rect = source.getBoundingClientRect();
+    // the client size leaves out the border, and is 0 if the canvas isn't laid out yet
+    const cssWidth = source.clientWidth || rect.width || source.width;
+    const cssHeight = source.clientHeight || rect.height || source.height;
+    const pixelRatio = window.devicePixelRatio || 1;
+    const width = Math.round(cssWidth * pixelRatio);
+    const height = Math.round(cssHeight * pixelRatio);
+
+    Object.assign(this._canvas.style, {
+      left:   (rect.left + source.clientLeft + window.pageXOffset) + 'px',
+      top:    (rect.top + source.clientTop + window.pageYOffset) + 'px',
+      width:  cssWidth + 'px',
+      height: cssHeight + 'px',
+    });
+    if (this._canvas.width !== width || this._canvas.height !== height) {
+      this._canvas.width = width;
+      this._canvas.height = height;
+    }
+
+    // the overlay is in the stage's canvas pixels, so map those onto this canvas's pixels
+    this._stage.scaleX = width / source.width;
+    this._stage.scaleY = height / source.height;
+    this._scaleLabels(this._inspector._container, pixelRatio / this._stage.scaleX, pixelRatio / this._stage.scaleY);
+    this._stage.update();
+  }
+
+  /**
+   * Scales the labels in the overlay so they are drawn at the same size in CSS pixels however the stage's canvas is scaled.  Texts are scaled around their position, and containers of text, such as the info boxes, are scaled around their center so they stay centered on what they describe.
+   * @access private
+   * @param {!Container} container - container to scale the labels in
+   * @param {!number} scaleX - horizontal scale to draw the labels at
+   * @param {!number} scaleY - vertical scale to draw the labels at
+   */
+  _scaleLabels(container, scaleX, scaleY) {
+    container.children.forEach((child) => {
+      const isLabel = child instanceof createjs.Text;
+      // the group of elements for each DisplayObject also has texts, but its outlines need to stay in place
+      const isGroup = !!child.name && child.name.indexOf('si_object_') === 0;
+      const isLabelContainer = !!child.children && !isGroup && child.children.some((grandchild) => grandchild instanceof createjs.Text);
+      if (!isLabel && !isLabelContainer) {
+        if (child.children) {
+          this._scaleLabels(child, scaleX, scaleY);
+        }
+        return;
+      }
+
+      let original = this._labelTransforms.get(child);
+      if (!original) {
+        original = { x: child.x, y: child.y, scaleX: child.scaleX, scaleY: child.scaleY };
+        this._labelTransforms.set(child, original);
+      }
+
+      child.scaleX = original.scaleX * scaleX;
+      child.scaleY = original.scaleY * scaleY;
+      child.x = original.x;
+      child.y = original.y;
+      const bounds = isLabelContainer ? child.getBounds() : null;
+      if (bounds) {
+        child.x += (bounds.x + bounds.width / 2) * original.scaleX * (1 - scaleX);
+        child.y += (bounds.y + bounds.height / 2) * original.scaleY * (1 - scaleY);
+      }
+    });
+  }
+}
+
+/**
+ * class name of the canvases the overlay is drawn in, which is also how their stages are told apart from the app's stages
+ * @access public
+ */
+OverlayCanvas.CLASS_NAME = 'si-overlay-canvas';
@@ -0,0 +1,144 @@
+/**
+ * Base class for the stage inspector's floating HTML panels, which are placed next to the stage's canvas and only exist in the page while open
+ */
+export default class Panel {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector the panel belongs to
+   * @param {!string} title - text for the panel's header
+   */
+  constructor(inspector, title) {
+    /**
+     * inspector the panel belongs to
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * text for the panel's header
+     * @access private
+     */
+    this._title = title;
+
+    /**
+     * DOM element for the panel, or null if it isn't open
+     * @access private
+     */
+    this._element = null;
+
+    /**
+     * DOM element for the panel's header
+     * @access private
+     */
+    this._header = null;
+
+    /**
+     * DOM element for the panel's content, below the header
+     * @access private
+     */
+    this._body = null;
+  }
+
+  /**
+   * Creates the panel's DOM elements to the right of the stage's canvas and any other open panels
+   * @access public
+   */
+  open() {
+    const rect = this._inspector._stage.canvas.getBoundingClientRect();
+    const openPanels = document.querySelectorAll('.si-panel').length;
+
+    this._element = document.createElement('div');
+    this._element.className = 'si-panel';
+    this._setStyle(this._element, {
+      position:   'absolute',
+      left:       (rect.right + window.pageXOffset + 8 + openPanels * (Panel.WIDTH + 8)) + 'px',
+      top:        (rect.top + window.pageYOffset) + 'px',
+      width:      Panel.WIDTH + 'px',
+      maxHeight:  Math.max(rect.height, 200) + 'px',
+      overflow:   'auto',
+      zIndex:     '10000',
+      background: '#ffffff',
+      border:     '1px solid #999999',
+      boxShadow:  '0 2px 6px rgba(0, 0, 0, 0.3)',
+      font:       '12px monospace',
+      color:      '#000000',
+    });
+
+    this._header = document.createElement('div');
+    this._setStyle(this._header, {
+      display:      'flex',
+      alignItems:   'center',
+      padding:      '4px',
+      background:   '#eeeeee',
+      borderBottom: '1px solid #999999',
+      position:     'sticky',
+      top:          '0',
+    });
+    const title = document.createElement('span');
+    title.textContent = this._title;
+    this._setStyle(title, { flex: '1' });
+    this._header.appendChild(title);
+    this._element.appendChild(this._header);
+
+    this._body = document.createElement('div');
+    this._element.appendChild(this._body);
+    document.body.appendChild(this._element);
+  }
+
+  /**
+   * Removes the panel's DOM elements from the page
+   * @access public
+   */
+  close() {
+    if (this._element && this._element.parentNode) {
+      this._element.parentNode.removeChild(this._element);
+    }
+    this._element = null;
+  }
+
+  /**
+   * Adds a button to the panel's header
+   * @access private
+   * @param {!string} text - button label
+   * @param {!string} tooltip - description of what the button does
+   * @param {!function} handler - function to call when the button is clicked
+   * @return {HTMLElement} the button
+   */
+  _addHeaderButton(text, tooltip, handler) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = tooltip;
+    button.addEventListener('click', handler);
+    this._header.appendChild(button);
+
+    return button;
+  }
+
+  /**
+   * Applies inline styles to a DOM element, since the panels don't rely on any stylesheet being loaded
+   * @access private
+   * @param {!HTMLElement} element - element to style
+   * @param {!object} style - map of style property to value
+   */
+  _setStyle(element, style) {
+    Object.keys(style).forEach((key) => {
+      element.style[key] = style[key];
+    });
+  }
+
+  /**
+   * Removes all of the DOM elements in the panel's content
+   * @access private
+   */
+  _clearBody() {
+    while (this._body.firstChild) {
+      this._body.removeChild(this._body.firstChild);
+    }
+  }
+}
+
+/**
+ * width of a panel in CSS pixels
+ * @access public
+ */
+Panel.WIDTH = 320;
@@ -0,0 +1,320 @@
+/**
+ * Records how long each stage redraw takes along with what was drawn, so frame drops can be tracked down to the parts of the display list that cause them
+ */
+export default class Profiler {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage is profiled
+   */
+  constructor(inspector) {
+    this._onDrawStart = this._onDrawStart.bind(this);
+    this._onDrawEnd = this._onDrawEnd.bind(this);
+
+    /**
+     * inspector whose stage is profiled
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * recorded frames, oldest first
+     * @access private
+     */
+    this._frames = [];
+
+    /**
+     * time the recording started, from performance.now
+     * @access private
+     */
+    this._startTime = 0;
+
+    /**
+     * time the frame being drawn started, or null if one isn't being drawn
+     * @access private
+     */
+    this._drawStart = null;
+
+    /**
+     * time the previous frame started, or null if no frames were drawn yet
+     * @access private
+     */
+    this._lastDrawStart = null;
+  }
+
+  /**
+   * Starts recording frames
+   * @access public
+   */
+  start() {
+    this._startTime = this._now();
+    this._inspector._stage.addEventListener('drawstart', this._onDrawStart);
+    this._inspector._stage.addEventListener('drawend', this._onDrawEnd);
+  }
+
+  /**
+   * Stops recording frames.  The recorded frames are kept so they can still be summarized.
+   * @access public
+   */
+  stop() {
+    this._inspector._stage.removeEventListener('drawstart', this._onDrawStart);
+    this._inspector._stage.removeEventListener('drawend', this._onDrawEnd);
+    this._drawStart = null;
+    this._lastDrawStart = null;
+  }
+
+  /**
+   * Summarizes the frames recorded within a window of time
+   * @access public
+   * @param {number} [from=0] - start of the window, in milliseconds since the recording started
+   * @param {number} [to=Infinity] - end of the window, in milliseconds since the recording started
+   * @return {object} the summary, with the number of frames, the window's duration, average fps, statistics (avg, min, max, and p95) for each time and count, the largestSubtrees seen, and the frames themselves
+   */
+  summarize(from = 0, to = Infinity) {
+    const frames = this._frames.filter((frame) => frame.time >= from && frame.time <= to);
+    const duration = frames.length > 0 ? frames[frames.length - 1].time - frames[0].time : 0;
+    const stats = {};
+    Profiler.TIMES.concat(Profiler.COUNTS).forEach((key) => {
+      stats[key] = this._getStats(frames.map((frame) => frame[key]).filter((value) => value !== null));
+    });
+
+    const subtrees = [];
+    frames.forEach((frame) => {
+      frame.largestSubtrees.forEach((entry) => {
+        const existing = subtrees.filter((subtree) => subtree.object === entry.object)[0];
+        if (!existing) {
+          subtrees.push(Object.assign({}, entry));
+        }
+        else if (entry.size > existing.size) {
+          existing.size = entry.size;
+        }
+      });
+    });
+    subtrees.sort((a, b) => b.size - a.size);
+
+    return Object.assign({
+      frames:          frames.length,
+      duration,
+      fps:             duration > 0 ? (frames.length - 1) * 1000 / duration : 0,
+      largestSubtrees: subtrees.slice(0, Profiler.SUBTREE_COUNT),
+      frameList:       frames,
+    }, stats);
+  }
+
+  /**
+   * Estimates how expensive a DisplayObject is to draw by itself, not including its children.  This is only meant for comparing DisplayObjects against each other, so it has no unit.
+   * @access public
+   * @param {!DisplayObject} obj - DisplayObject to estimate the cost of
+   * @return {number} the estimated cost, which is 0 for DisplayObjects that don't draw anything themselves such as uncached Containers
+   */
+  estimateCost(obj) {
+    const bounds = this._inspector._getObjectBounds(obj);
+    const area = bounds ? Math.abs(bounds.width * bounds.height * obj.scaleX * obj.scaleY) : 0;
+    let cost = 0;
+
+    if (obj.cacheCanvas) {
+      // drawing a cache is a single drawImage, and any filters were applied when it was cached
+      return 1 + area / 10000;
+    }
+    else if (obj instanceof createjs.Text) {
+      cost = 3 + String(obj.text).length / 20;
+    }
+    else if (obj instanceof createjs.Shape) {
+      const graphics = obj.graphics;
+      const instructions = graphics ? (graphics.instructions || graphics._instructions || []) : [];
+      cost = 1 + instructions.length / 10;
+    }
+    else if (obj instanceof createjs.Bitmap || obj instanceof createjs.Sprite) {
+      cost = 1 + area / 10000;
+    }
+
+    if (obj.filters && obj.filters.length > 0) {
+      cost += 5 * obj.filters.length * (1 + area / 10000);
+    }
+    if (obj.shadow) {
+      cost += 3;
+    }
+
+    return cost;
+  }
+
+  /**
+   * Retrieves the current time in milliseconds
+   * @access private
+   * @return {number} the time
+   */
+  _now() {
+    return window.performance ? window.performance.now() : Date.now();
+  }
+
+  /**
+   * Event handler for the start of a stage redraw
+   * @access private
+   */
+  _onDrawStart() {
+    this._drawStart = this._now();
+  }
+
+  /**
+   * Event handler for the end of a stage redraw, which records the frame.  The DisplayObjects are counted after drawTime is measured, and the time that takes is recorded as the frame's overhead, so the profiler's own cost can be told apart from the app's.
+   * @access private
+   */
+  _onDrawEnd() {
+    if (this._drawStart === null) {
+      return;
+    }
+
+    const now = this._now();
+    const frame = this._countObjects();
+    frame.time = this._drawStart - this._startTime;
+    frame.drawTime = now - this._drawStart;
+    frame.frameTime = this._lastDrawStart === null ? null : this._drawStart - this._lastDrawStart;
+    frame.overhead = this._now() - now;
+
+    this._lastDrawStart = this._drawStart;
+    this._drawStart = null;
+    this._frames.push(frame);
+    if (this._frames.length > Profiler.MAX_FRAMES) {
+      this._frames.shift();
+    }
+  }
+
+  /**
+   * Counts the stage's DisplayObjects by how they are drawn, not including the stage inspector's overlay
+   * @access private
+   * @return {object} the counts, named as in Profiler.COUNTS, along with the largestSubtrees, each with the Container (object) and its number of descendants (size)
+   */
+  _countObjects() {
+    const counts = {};
+    Profiler.COUNTS.forEach((key) => {
+      counts[key] = 0;
+    });
+    const subtrees = [];
+
+    const visit = (obj, visible, inCache) => {
+      counts.total++;
+      visible = visible && obj.isVisible();
+      if (visible) {
+        counts.visible++;
+        if (!inCache) {
+          counts.drawn++;
+          counts[obj.cacheCanvas ? 'cached' : 'uncached']++;
+          if (obj.filters && obj.filters.length > 0) {
+            counts.filters++;
+          }
+          if (obj.shadow) {
+            counts.shadows++;
+          }
+        }
+      }
+
+      let size = 0;
+      if (obj.children) {
+        obj.children.forEach((child) => {
+          if (child !== this._inspector._container) {
+            size += 1 + visit(child, visible, inCache || !!obj.cacheCanvas);
+          }
+        });
+        if (obj !== this._inspector._stage) {
+          subtrees.push({ object: obj, size });
+        }
+      }
+
+      return size;
+    };
+    visit(this._inspector._stage, true, false);
+
+    subtrees.sort((a, b) => b.size - a.size);
+    counts.largestSubtrees = subtrees.slice(0, Profiler.SUBTREE_COUNT);
+
+    return counts;
+  }
+
+  /**
+   * Calculates statistics for a list of values
+   * @access private
+   * @param {!number[]} values - values to calculate statistics for
+   * @return {object} the avg, min, max, and p95 (95th percentile) of the values, which are all 0 if there are no values
+   */
+  _getStats(values) {
+    if (values.length === 0) {
+      return { avg: 0, min: 0, max: 0, p95: 0 };
+    }
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    return {
+      avg: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    };
+  }
+
+  /**
+   * Draws each DisplayObject that draws something itself in a color from green to red by its estimated draw cost, relative to the most expensive one
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _drawHeatmap(container) {
+    const entries = [];
+    const visit = (obj) => {
+      if (obj === this._inspector._container || !obj.isVisible()) {
+        return;
+      }
+
+      const cost = this.estimateCost(obj);
+      if (cost > 0) {
+        entries.push({ obj, cost });
+      }
+      if (obj.children && !obj.cacheCanvas) {
+        obj.children.forEach(visit);
+      }
+    };
+    visit(this._inspector._stage);
+
+    const maxCost = entries.reduce((max, entry) => Math.max(max, entry.cost), 0);
+    entries.forEach((entry) => {
+      const bounds = this._inspector._getObjectBounds(entry.obj);
+      if (!bounds) {
+        return;
+      }
+
+      const globalBounds = this._inspector._getGlobalBounds(entry.obj, bounds);
+      const shape = new createjs.Shape();
+      shape.name = 'si_heatmap_' + entry.obj.id;
+      shape.graphics
+        .beginFill(createjs.Graphics.getHSL(120 * (1 - entry.cost / maxCost), 100, 50, Profiler.HEATMAP_ALPHA))
+        .drawRect(globalBounds.x, globalBounds.y, globalBounds.width, globalBounds.height);
+      container.addChild(shape);
+    });
+  }
+}
+
+/**
+ * names of the times in milliseconds recorded for each frame: since the previous redraw started (frameTime), how long the redraw took (drawTime), and how long the profiler took to count the DisplayObjects after it (overhead), which is part of the next frameTime
+ * @access public
+ */
+Profiler.TIMES = [ 'frameTime', 'drawTime', 'overhead' ];
+
+/**
+ * names of the DisplayObject counts recorded for each frame: all DisplayObjects (total), the ones that are visible including their ancestors (visible), the visible ones drawn on their own rather than as part of an ancestor's cache (drawn), how many of the drawn ones are cached or uncached, and how many of the drawn ones have filters or shadows
+ * @access public
+ */
+Profiler.COUNTS = [ 'total', 'visible', 'drawn', 'cached', 'uncached', 'filters', 'shadows' ];
+
+/**
+ * most frames kept while recording, after which the oldest frames are dropped
+ * @access public
+ */
+Profiler.MAX_FRAMES = 3600;
+
+/**
+ * number of largest subtrees kept for each frame and summary
+ * @access public
+ */
+Profiler.SUBTREE_COUNT = 5;
+
+/**
+ * alpha for the colors drawn by the heatmap
+ * @access public
+ */
+Profiler.HEATMAP_ALPHA = 0.4;
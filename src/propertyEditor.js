@@ -0,0 +1,222 @@
+import Panel from './panel';
+
+/**
+ * Floating HTML panel for editing the properties of the selected DisplayObject.  Edits are applied to the stage right away and recorded by the inspector so they can be undone or exported as code.
+ */
+export default class PropertyEditor extends Panel {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose selected DisplayObject is edited
+   */
+  constructor(inspector) {
+    super(inspector, 'Properties');
+    this._render = this._render.bind(this);
+    this._refresh = this._refresh.bind(this);
+
+    /**
+     * input elements for the rendered fields, by property name
+     * @access private
+     */
+    this._inputs = {};
+
+    /**
+     * DisplayObject the fields are rendered for
+     * @access private
+     */
+    this._target = null;
+  }
+
+  /**
+   * Creates the panel's DOM elements and starts following the inspector's selection
+   * @access public
+   */
+  open() {
+    super.open();
+    this._addHeaderButton('Undo', 'Undo the last edit', () => {
+      this._inspector.undoEdit();
+    });
+    this._addHeaderButton('Export', 'Dump the edits to the console as code', () => {
+      this._inspector.exportChanges();
+    });
+    this._addHeaderButton('\u00d7', 'Close', () => {
+      this._inspector.closePropertyEditor();
+    });
+
+    this._inspector._selectionListeners.push(this._render);
+    this._inspector._stage.addEventListener('drawend', this._refresh);
+    this._render(this._inspector.selected);
+  }
+
+  /**
+   * Removes the panel's DOM elements and stops following the inspector's selection
+   * @access public
+   */
+  close() {
+    const listeners = this._inspector._selectionListeners;
+    if (listeners.indexOf(this._render) !== -1) {
+      listeners.splice(listeners.indexOf(this._render), 1);
+    }
+    this._inspector._stage.removeEventListener('drawend', this._refresh);
+    super.close();
+  }
+
+  /**
+   * Retrieves the fields that can be edited for a DisplayObject
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to get the fields for
+   * @return {object[]} fields, each with the property name, input type ('number', 'checkbox', or 'text'), and step for number inputs
+   */
+  _getFields(obj) {
+    let fields = PropertyEditor.FIELDS;
+    if (obj instanceof createjs.Text) {
+      fields = fields.concat(PropertyEditor.TEXT_FIELDS);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Selection listener for rebuilding the fields for the newly selected DisplayObject
+   * @access private
+   * @param {DisplayObject} obj - the selected DisplayObject
+   */
+  _render(obj) {
+    if (!this._element) {
+      return;
+    }
+
+    this._clearBody();
+    this._inputs = {};
+    this._target = obj;
+
+    const title = document.createElement('div');
+    title.textContent = obj ? this._inspector._getObjectDisplayName(obj) : 'Select a DisplayObject to edit it';
+    this._setStyle(title, { padding: '4px', fontWeight: 'bold', whiteSpace: 'normal' });
+    this._body.appendChild(title);
+    if (!obj) {
+      return;
+    }
+
+    this._getFields(obj).forEach((field) => {
+      const row = document.createElement('label');
+      this._setStyle(row, { display: 'flex', alignItems: 'center', padding: '2px 4px' });
+
+      const name = document.createElement('span');
+      name.textContent = field.name;
+      this._setStyle(name, { width: '100px' });
+      row.appendChild(name);
+
+      const input = document.createElement('input');
+      input.type = field.type;
+      if (field.step) {
+        input.step = field.step;
+      }
+      this._setStyle(input, { flex: field.type === 'checkbox' ? '' : '1' });
+      this._setInputValue(input, field, obj[field.name]);
+      input.addEventListener('change', () => {
+        const value = this._getInputValue(input, field);
+        if (value === undefined) {
+          this._setInputValue(input, field, obj[field.name]);
+        }
+        else {
+          this._inspector._applyEdit(obj, { [field.name]: value });
+        }
+      });
+      row.appendChild(input);
+
+      this._inputs[field.name] = { input, field };
+      this._body.appendChild(row);
+    });
+  }
+
+  /**
+   * Updates the inputs with the current property values when the stage redraws, such as after an edit is undone or the app changes a property.  The focused input is skipped so that typing in it isn't interrupted.
+   * @access private
+   */
+  _refresh() {
+    if (!this._target) {
+      return;
+    }
+
+    Object.keys(this._inputs).forEach((key) => {
+      const entry = this._inputs[key];
+      if (entry.input !== document.activeElement) {
+        this._setInputValue(entry.input, entry.field, this._target[key]);
+      }
+    });
+  }
+
+  /**
+   * Shows a property's value in an input
+   * @access private
+   * @param {!HTMLInputElement} input - input to update
+   * @param {!object} field - field the input is for
+   * @param {*} value - value of the property
+   */
+  _setInputValue(input, field, value) {
+    if (field.type === 'checkbox') {
+      input.checked = !!value;
+    }
+    else if (field.type === 'number') {
+      input.value = this._inspector._isNumber(value) ? String(Math.round(value * 1000) / 1000) : '';
+    }
+    else {
+      input.value = value === null || value === undefined ? '' : String(value);
+    }
+  }
+
+  /**
+   * Converts an input's value to the type of the property it is for
+   * @access private
+   * @param {!HTMLInputElement} input - input to read
+   * @param {!object} field - field the input is for
+   * @return {*} the new property value, or undefined if the input doesn't have a valid value
+   */
+  _getInputValue(input, field) {
+    if (field.type === 'checkbox') {
+      return input.checked;
+    }
+    else if (field.type === 'number') {
+      if (input.value === '') {
+        return field.nullable ? null : undefined;
+      }
+
+      const value = parseFloat(input.value);
+      return Number.isNaN(value) ? undefined : value;
+    }
+
+    return input.value;
+  }
+}
+
+/**
+ * fields that can be edited for all DisplayObjects.  Number fields can only be cleared to set their property to null if they are nullable.
+ * @access public
+ */
+PropertyEditor.FIELDS = [
+  { name: 'x',        type: 'number',   step: 1 },
+  { name: 'y',        type: 'number',   step: 1 },
+  { name: 'regX',     type: 'number',   step: 1 },
+  { name: 'regY',     type: 'number',   step: 1 },
+  { name: 'scaleX',   type: 'number',   step: 0.05 },
+  { name: 'scaleY',   type: 'number',   step: 0.05 },
+  { name: 'rotation', type: 'number',   step: 1 },
+  { name: 'skewX',    type: 'number',   step: 1 },
+  { name: 'skewY',    type: 'number',   step: 1 },
+  { name: 'alpha',    type: 'number',   step: 0.05 },
+  { name: 'visible',  type: 'checkbox' },
+];
+
+/**
+ * additional fields that can be edited for createjs.Text
+ * @access public
+ */
+PropertyEditor.TEXT_FIELDS = [
+  { name: 'text',         type: 'text' },
+  { name: 'font',         type: 'text' },
+  { name: 'color',        type: 'text' },
+  { name: 'lineWidth',    type: 'number', step: 1, nullable: true },
+  { name: 'lineHeight',   type: 'number', step: 1, nullable: true },
+  { name: 'textAlign',    type: 'text' },
+  { name: 'textBaseline', type: 'text' },
+];
@@ -0,0 +1,178 @@
+import OverlayCanvas from './overlayCanvas';
+
+/**
+ * Keeps track of the registered StageInspectors so that apps with several stages can look up the inspector for a stage and work with all of them at once.  Every inspector can be looked up by its stage, but that lookup is weak, so only the registered inspectors and their stages are kept in memory by the registry.  Stages can also be discovered automatically as they are constructed or updated, which works by wrapping the enableDOMEvents and update functions of createjs.Stage (and createjs.StageGL where it has its own).
+ */
+export default class Registry {
+  /**
+   * @access public
+   * @param {!function} InspectorClass - the StageInspector class, which is used to create inspectors for discovered stages
+   */
+  constructor(InspectorClass) {
+    /**
+     * the StageInspector class
+     * @access private
+     */
+    this._InspectorClass = InspectorClass;
+
+    /**
+     * registered inspectors, in the order they were registered
+     * @access private
+     */
+    this._inspectors = [];
+
+    /**
+     * first inspector created for each stage, whether it is registered or not
+     * @access private
+     */
+    this._byStage = new WeakMap();
+
+    /**
+     * stages that auto discovery has already checked, so that updating them again returns right away
+     * @access private
+     */
+    this._checked = new WeakSet();
+
+    /**
+     * original functions while they are wrapped for auto discovery, as objects with the prototype (proto), function name (method), and original function, or null if they aren't wrapped
+     * @access private
+     */
+    this._originals = null;
+  }
+
+  /**
+   * Makes it possible to look up an inspector by its stage without registering it, or keeping it or its stage in memory
+   * @access public
+   * @param {!StageInspector} inspector - inspector that was created
+   */
+  track(inspector) {
+    if (!this._byStage.has(inspector._stage)) {
+      this._byStage.set(inspector._stage, inspector);
+    }
+  }
+
+  /**
+   * Adds an inspector to the registry
+   * @access public
+   * @param {!StageInspector} inspector - inspector to add
+   */
+  add(inspector) {
+    this.track(inspector);
+    if (this._inspectors.indexOf(inspector) === -1) {
+      this._inspectors.push(inspector);
+    }
+  }
+
+  /**
+   * Removes an inspector from the registry, including the lookup by its stage
+   * @access public
+   * @param {!StageInspector} inspector - inspector to remove
+   */
+  remove(inspector) {
+    const index = this._inspectors.indexOf(inspector);
+    if (index !== -1) {
+      this._inspectors.splice(index, 1);
+    }
+    if (this._byStage.get(inspector._stage) === inspector) {
+      this._byStage.delete(inspector._stage);
+    }
+  }
+
+  /**
+   * Retrieves the registered inspectors
+   * @access public
+   * @return {StageInspector[]} the inspectors, in the order they were registered
+   */
+  all() {
+    return this._inspectors.slice();
+  }
+
+  /**
+   * Finds the inspector for a stage
+   * @access public
+   * @param {!(Stage|HTMLCanvasElement|string)} target - the Stage, its canvas, the id of its canvas, or the label of its inspector
+   * @return {StageInspector} the first inspector for a Stage, whether it is registered or not, otherwise the first registered inspector for the canvas or label, or null if there isn't one
+   */
+  find(target) {
+    if (this._byStage.has(target)) {
+      return this._byStage.get(target);
+    }
+
+    let canvas = target;
+    if (typeof target === 'string') {
+      canvas = document.getElementById(target);
+    }
+
+    return this._inspectors.filter((inspector) => {
+      return inspector._stage === target || (!!canvas && inspector._stage.canvas === canvas) || (!!inspector.label && inspector.label === target);
+    })[0] || null;
+  }
+
+  /**
+   * Starts creating an inspector for each stage as it is constructed, or for stages that already exist, the first time they are updated, if it doesn't have one already
+   * @access public
+   */
+  enableAutoDiscovery() {
+    if (this._originals) {
+      return;
+    }
+
+    const registry = this;
+    this._originals = [];
+    [ createjs.Stage, createjs.StageGL ].filter((type) => !!type).forEach((type) => {
+      const proto = type.prototype;
+      // the Stage constructor ends by turning on its DOM events, which is the first point where it is fully set up
+      Registry.DISCOVERY_METHODS.filter((method) => proto.hasOwnProperty(method)).forEach((method) => {
+        const original = proto[method];
+        proto[method] = function(enable) {
+          const back = original.apply(this, arguments);
+          if (method !== 'enableDOMEvents' || enable !== false) {
+            registry._discover(this);
+          }
+
+          return back;
+        };
+        registry._originals.push({ proto, method, original });
+      });
+    });
+  }
+
+  /**
+   * Stops discovering stages.  Inspectors already registered for discovered stages stay registered.
+   * @access public
+   */
+  disableAutoDiscovery() {
+    if (!this._originals) {
+      return;
+    }
+
+    this._originals.forEach((entry) => {
+      entry.proto[entry.method] = entry.original;
+    });
+    this._originals = null;
+  }
+
+  /**
+   * Registers the inspector for a stage the first time the stage is discovered, creating one if it doesn't have one already.  The stages inspectors use to draw their overlay in a separate canvas are skipped.
+   * @access private
+   * @param {!Stage} stage - stage that was constructed or is being updated
+   */
+  _discover(stage) {
+    // this runs on every update of every stage, so each stage is only checked once
+    if (this._checked.has(stage)) {
+      return;
+    }
+    this._checked.add(stage);
+
+    const isOverlay = !!stage.canvas && !!stage.canvas.classList && stage.canvas.classList.contains(OverlayCanvas.CLASS_NAME);
+    if (!isOverlay) {
+      this.add(this._byStage.get(stage) || new this._InspectorClass(stage));
+    }
+  }
+}
+
+/**
+ * names of the createjs.Stage functions that are wrapped to discover stages: enableDOMEvents, which the constructor calls, and update, for stages that were constructed before auto discovery was enabled
+ * @access public
+ */
+Registry.DISCOVERY_METHODS = [ 'enableDOMEvents', 'update' ];
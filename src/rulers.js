@@ -0,0 +1,252 @@
+/**
+ * Draws rulers along the edges of the stage, a grid, and guide lines in the overlay, and lets guide lines be dragged out of the rulers.  Everything is drawn in the stage's coordinate space.
+ */
+export default class Rulers {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose overlay is drawn in
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose overlay is drawn in
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * guide line being dragged, or null if there isn't one
+     * @access private
+     */
+    this._drag = null;
+  }
+
+  /**
+   * Starts drawing the rulers and listening for guide lines being dragged out of them or moved
+   * @access public
+   */
+  enable() {
+    const stage = this._inspector._stage;
+    this._downListener = stage.on('stagemousedown', this._onDown, this);
+    this._moveListener = stage.on('stagemousemove', this._onMove, this);
+    this._upListener = stage.on('stagemouseup', this._onUp, this);
+    this._inspector._setOverlayDrawer('rulers', (container) => {
+      this._drawRulers(container);
+    });
+  }
+
+  /**
+   * Stops drawing the rulers and listening for guide lines being dragged
+   * @access public
+   */
+  disable() {
+    const stage = this._inspector._stage;
+    stage.off('stagemousedown', this._downListener);
+    stage.off('stagemousemove', this._moveListener);
+    stage.off('stagemouseup', this._upListener);
+    this._endDrag();
+    this._inspector._setOverlayDrawer('rulers', null);
+    this._inspector._redrawStage();
+  }
+
+  /**
+   * Retrieves the size of the area to draw in, which is the stage's canvas
+   * @access private
+   * @return {object} width and height of the canvas
+   */
+  _getSize() {
+    const canvas = this._inspector._stage.canvas;
+    return {
+      width:  canvas ? canvas.width : 0,
+      height: canvas ? canvas.height : 0,
+    };
+  }
+
+  /**
+   * Event handler for starting to drag a new guide line out of a ruler, or an existing guide line to move it.  While a guide line is dragged, mouse events are blocked from reaching the stage's DisplayObjects.
+   * @access private
+   * @param {!MouseEvent} evt - createjs stagemousedown event
+   */
+  _onDown(evt) {
+    const inspector = this._inspector;
+    const size = inspector.rulerOptions.size;
+    let guide = null;
+
+    if (evt.stageY < size && evt.stageX >= size) {
+      guide = inspector.addGuide('y', evt.stageY);
+    }
+    else if (evt.stageX < size && evt.stageY >= size) {
+      guide = inspector.addGuide('x', evt.stageX);
+    }
+    else {
+      guide = inspector._guides.filter((candidate) => {
+        return Math.abs((candidate.axis === 'x' ? evt.stageX : evt.stageY) - candidate.position) <= Rulers.GRAB_DISTANCE;
+      })[0] || null;
+    }
+
+    if (guide) {
+      this._drag = guide;
+      this._mouseListeners = inspector._blockMouseEvents({});
+    }
+  }
+
+  /**
+   * Event handler for moving the dragged guide line with the mouse
+   * @access private
+   * @param {!MouseEvent} evt - createjs stagemousemove event
+   */
+  _onMove(evt) {
+    if (this._drag) {
+      this._drag.position = Math.round(this._drag.axis === 'x' ? evt.stageX : evt.stageY);
+      this._inspector._redrawStage();
+    }
+  }
+
+  /**
+   * Event handler for dropping the dragged guide line, which removes it if it was dropped back on its ruler
+   * @access private
+   */
+  _onUp() {
+    const guide = this._drag;
+    if (guide) {
+      if (guide.position < this._inspector.rulerOptions.size) {
+        this._inspector.removeGuide(guide.axis, guide.position);
+      }
+      // the click and pressup events are dispatched after stagemouseup, so keep blocking until they are done
+      setTimeout(() => {
+        this._endDrag();
+      }, 0);
+      this._drag = null;
+    }
+  }
+
+  /**
+   * Stops blocking mouse events for a guide line drag
+   * @access private
+   */
+  _endDrag() {
+    this._drag = null;
+    if (this._mouseListeners) {
+      this._inspector._unblockMouseEvents(this._mouseListeners);
+      this._mouseListeners = null;
+    }
+  }
+
+  /**
+   * Draws rulers along the top and left edges of the stage's canvas
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _drawRulers(container) {
+    const options = this._inspector.rulerOptions;
+    const size = this._getSize();
+    const shape = new createjs.Shape();
+    shape.name = 'si_rulers';
+    container.addChild(shape);
+
+    const g = shape.graphics;
+    g.beginFill(options.background).drawRect(0, 0, size.width, options.size).drawRect(0, options.size, options.size, size.height - options.size).endFill();
+    g.setStrokeStyle(1).beginStroke(options.color);
+
+    const addLabel = (text, x, y, rotation) => {
+      const label = new createjs.Text(text, '9px sans-serif', options.color);
+      label.name = 'si_rulerLabel';
+      label.x = x;
+      label.y = y;
+      label.rotation = rotation;
+      container.addChild(label);
+    };
+
+    for (let x = 0; x < size.width; x += options.spacing) {
+      const major = x % options.labelSpacing === 0;
+      g.moveTo(x + 0.5, options.size).lineTo(x + 0.5, options.size - (major ? options.size : options.size / 4));
+      if (major && x > 0) {
+        addLabel(String(x), x + 2, 1, 0);
+      }
+    }
+    for (let y = 0; y < size.height; y += options.spacing) {
+      const major = y % options.labelSpacing === 0;
+      g.moveTo(options.size, y + 0.5).lineTo(options.size - (major ? options.size : options.size / 4), y + 0.5);
+      if (major && y > 0) {
+        addLabel(String(y), 1, y - 2, -90);
+      }
+    }
+    g.endStroke();
+  }
+
+  /**
+   * Draws the grid, and the baseline grid if its spacing is set, across the stage's canvas
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _drawGrid(container) {
+    const options = this._inspector.gridOptions;
+    const size = this._getSize();
+    const shape = new createjs.Shape();
+    shape.name = 'si_grid';
+    container.addChild(shape);
+
+    const g = shape.graphics;
+    if (options.spacing > 0) {
+      g.setStrokeStyle(1).beginStroke(options.color);
+      for (let x = 0; x < size.width; x += options.spacing) {
+        g.moveTo(x + 0.5, 0).lineTo(x + 0.5, size.height);
+      }
+      for (let y = 0; y < size.height; y += options.spacing) {
+        g.moveTo(0, y + 0.5).lineTo(size.width, y + 0.5);
+      }
+      g.endStroke();
+    }
+
+    if (options.baselineSpacing > 0) {
+      g.setStrokeStyle(1).beginStroke(options.baselineColor);
+      for (let y = options.baselineOffset % options.baselineSpacing; y < size.height; y += options.baselineSpacing) {
+        g.moveTo(0, y + 0.5).lineTo(size.width, y + 0.5);
+      }
+      g.endStroke();
+    }
+  }
+
+  /**
+   * Draws the inspector's guide lines across the stage's canvas, along with their positions
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _drawGuides(container) {
+    const color = this._inspector.guideColor;
+    const size = this._getSize();
+    const shape = new createjs.Shape();
+    shape.name = 'si_guides';
+    container.addChild(shape);
+
+    const g = shape.graphics;
+    g.setStrokeStyle(1).beginStroke(color);
+    this._inspector._guides.forEach((guide) => {
+      const label = new createjs.Text(String(guide.position), '9px sans-serif', color);
+      label.name = 'si_guideLabel';
+      if (guide.axis === 'x') {
+        g.moveTo(guide.position + 0.5, 0).lineTo(guide.position + 0.5, size.height);
+        label.x = guide.position + 3;
+        label.y = this._inspector.rulerOptions.size + 3;
+      }
+      else {
+        g.moveTo(0, guide.position + 0.5).lineTo(size.width, guide.position + 0.5);
+        label.x = this._inspector.rulerOptions.size + 3;
+        label.y = guide.position + 3;
+      }
+      container.addChild(label);
+    });
+    g.endStroke();
+  }
+}
+
+/**
+ * how close, in stage pixels, the mouse needs to be to a guide line to drag it
+ * @access public
+ */
+Rulers.GRAB_DISTANCE = 3;
+
+/**
+ * prefix for the localStorage keys that guide lines are saved under, followed by the scene name
+ * @access public
+ */
+Rulers.STORAGE_PREFIX = 'stageInspector.guides.';
@@ -0,0 +1,431 @@
+/**
+ * CSS-like selector for matching DisplayObjects.  A selector is made up of one or more comma separated alternatives, each of which is a chain of compound selectors joined by either whitespace (descendant) or > (child).  A compound selector is an optional type followed by any number of #name, [attribute], and :pseudo parts, such as Container#menu > Text[name^=choice_]
+ */
+export default class Selector {
+  /**
+   * @access public
+   * @param {!string} text - selector to parse
+   * @throws {Error} if text is not a valid selector
+   */
+  constructor(text) {
+    /**
+     * the selector's source text
+     * @access public
+     */
+    this.text = text;
+
+    /**
+     * current parse position in text
+     * @access private
+     */
+    this._pos = 0;
+
+    /**
+     * array of the parsed alternatives, each of which is an object with arrays of compounds and the combinators between them
+     * @access private
+     */
+    this._alternatives = this._parseList(')');
+    if (this._pos < text.length) {
+      this._fail('unexpected "' + text[this._pos] + '"');
+    }
+  }
+
+  /**
+   * Checks if a DisplayObject matches the selector
+   * @access public
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj matches at least one of the selector's alternatives
+   */
+  matches(obj) {
+    return this._matchList(this._alternatives, obj);
+  }
+
+  /**
+   * Throws an error describing a parse failure at the current position
+   * @access private
+   * @param {!string} message - description of the problem
+   * @throws {Error} always
+   */
+  _fail(message) {
+    throw new Error('Invalid selector "' + this.text + '" at position ' + this._pos + ': ' + message);
+  }
+
+  /**
+   * Advances the parse position past any whitespace
+   * @access private
+   * @return {boolean} true if any whitespace was skipped
+   */
+  _skipSpace() {
+    const start = this._pos;
+    while (this._pos < this.text.length && /\s/.test(this.text[this._pos])) {
+      this._pos++;
+    }
+
+    return this._pos > start;
+  }
+
+  /**
+   * Parses an identifier, such as a type, name, attribute, or pseudo-class name
+   * @access private
+   * @return {string} the identifier
+   */
+  _parseIdent() {
+    const match = /^[\w\-.]+/.exec(this.text.substr(this._pos));
+    if (!match) {
+      this._fail('expected a name');
+    }
+    this._pos += match[0].length;
+
+    return match[0];
+  }
+
+  /**
+   * Parses an attribute value, which is either quoted or runs until the closing bracket
+   * @access private
+   * @return {string} the value
+   */
+  _parseValue() {
+    const quote = this.text[this._pos];
+    let end;
+    let back;
+
+    if (quote === '"' || quote === '\'') {
+      end = this.text.indexOf(quote, this._pos + 1);
+      if (end === -1) {
+        this._fail('unterminated string');
+      }
+      back = this.text.substring(this._pos + 1, end);
+      this._pos = end + 1;
+    }
+    else {
+      end = this.text.indexOf(']', this._pos);
+      if (end === -1) {
+        this._fail('expected "]"');
+      }
+      back = this.text.substring(this._pos, end).trim();
+      this._pos = end;
+    }
+
+    return back;
+  }
+
+  /**
+   * Parses comma separated alternatives until the end of the text or the terminator character
+   * @access private
+   * @param {!string} terminator - character that ends the list, such as the closing parenthesis of :not()
+   * @return {object[]} the parsed alternatives
+   */
+  _parseList(terminator) {
+    const back = [];
+
+    for (;;) {
+      this._skipSpace();
+      back.push(this._parseComplex(terminator));
+      if (this.text[this._pos] !== ',') {
+        break;
+      }
+      this._pos++;
+    }
+
+    return back;
+  }
+
+  /**
+   * Parses a chain of compound selectors and the combinators between them
+   * @access private
+   * @param {!string} terminator - character that ends the chain in addition to a comma or the end of the text
+   * @return {object} object with compounds and combinators arrays, where combinators[i] joins compounds[i] and compounds[i + 1]
+   */
+  _parseComplex(terminator) {
+    const back = {
+      compounds:   [ this._parseCompound() ],
+      combinators: [],
+    };
+
+    for (;;) {
+      const hadSpace = this._skipSpace();
+      const next = this.text[this._pos];
+      if (this._pos >= this.text.length || next === ',' || next === terminator) {
+        break;
+      }
+
+      if (next === '>') {
+        this._pos++;
+        this._skipSpace();
+        back.combinators.push('>');
+      }
+      else if (hadSpace) {
+        back.combinators.push(' ');
+      }
+      else {
+        this._fail('unexpected "' + next + '"');
+      }
+      back.compounds.push(this._parseCompound());
+    }
+
+    return back;
+  }
+
+  /**
+   * Parses a type with any #name, [attribute], and :pseudo parts that follow it
+   * @access private
+   * @return {object} object with type, names, attrs, and pseudos fields
+   */
+  _parseCompound() {
+    const back = {
+      type:    null,
+      names:   [],
+      attrs:   [],
+      pseudos: [],
+    };
+    const start = this._pos;
+
+    if (this.text[this._pos] === '*') {
+      this._pos++;
+    }
+    else if (/\w/.test(this.text[this._pos] || '')) {
+      back.type = this._parseIdent();
+    }
+
+    for (;;) {
+      const next = this.text[this._pos];
+      if (next === '#') {
+        this._pos++;
+        back.names.push(this._parseIdent());
+      }
+      else if (next === '[') {
+        back.attrs.push(this._parseAttr());
+      }
+      else if (next === ':') {
+        back.pseudos.push(this._parsePseudo());
+      }
+      else {
+        break;
+      }
+    }
+
+    if (this._pos === start) {
+      this._fail('expected a selector');
+    }
+
+    return back;
+  }
+
+  /**
+   * Parses an attribute part such as [visible=false] or [name^=choice_]
+   * @access private
+   * @return {object} object with the attribute name, operator (null when only checking for presence), and value
+   */
+  _parseAttr() {
+    this._pos++;
+    this._skipSpace();
+    const back = {
+      name:  this._parseIdent(),
+      op:    null,
+      value: null,
+    };
+    this._skipSpace();
+
+    const op = /^(\^=|\$=|\*=|!=|=)/.exec(this.text.substr(this._pos));
+    if (op) {
+      back.op = op[0];
+      this._pos += op[0].length;
+      this._skipSpace();
+      back.value = this._parseValue();
+      this._skipSpace();
+    }
+
+    if (this.text[this._pos] !== ']') {
+      this._fail('expected "]"');
+    }
+    this._pos++;
+
+    return back;
+  }
+
+  /**
+   * Parses a pseudo-class part such as :cached or :descendant-of(42)
+   * @access private
+   * @return {object} object with the pseudo-class name and its parsed argument, if any
+   */
+  _parsePseudo() {
+    this._pos++;
+    const back = {
+      name: this._parseIdent(),
+      arg:  null,
+    };
+
+    if (back.name === 'not' || back.name === 'descendant-of' || back.name === 'child-of') {
+      if (this.text[this._pos] !== '(') {
+        this._fail('expected "(" after :' + back.name);
+      }
+      this._pos++;
+      this._skipSpace();
+
+      const id = /^(\d+)\s*\)/.exec(this.text.substr(this._pos));
+      if (id && back.name !== 'not') {
+        // a plain number is an id, which is the common case when working from ids shown in the overlay
+        back.arg = parseInt(id[1], 10);
+        this._pos += id[0].length - 1;
+      }
+      else {
+        back.arg = this._parseList(')');
+      }
+
+      if (this.text[this._pos] !== ')') {
+        this._fail('expected ")"');
+      }
+      this._pos++;
+    }
+    else if ([ 'cached', 'visible', 'hidden', 'empty' ].indexOf(back.name) === -1) {
+      this._fail('unknown pseudo-class :' + back.name);
+    }
+
+    return back;
+  }
+
+  /**
+   * Checks if a DisplayObject matches any of a list of parsed alternatives
+   * @access private
+   * @param {!object[]} list - parsed alternatives
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj matches at least one alternative
+   */
+  _matchList(list, obj) {
+    return list.some((complex) => {
+      return this._matchComplex(complex, complex.compounds.length - 1, obj);
+    });
+  }
+
+  /**
+   * Checks if a DisplayObject matches a chain of compound selectors, working from the right most compound towards the left
+   * @access private
+   * @param {!object} complex - parsed chain of compounds
+   * @param {!int} index - index of the compound that obj must match
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj and its ancestors satisfy the chain up to index
+   */
+  _matchComplex(complex, index, obj) {
+    if (!this._matchCompound(complex.compounds[index], obj)) {
+      return false;
+    }
+    if (index === 0) {
+      return true;
+    }
+
+    let ancestor = obj.parent;
+    if (complex.combinators[index - 1] === '>') {
+      return !!ancestor && this._matchComplex(complex, index - 1, ancestor);
+    }
+    while (ancestor) {
+      if (this._matchComplex(complex, index - 1, ancestor)) {
+        return true;
+      }
+      ancestor = ancestor.parent;
+    }
+
+    return false;
+  }
+
+  /**
+   * Checks if a DisplayObject matches every part of a compound selector
+   * @access private
+   * @param {!object} compound - parsed compound selector
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj matches
+   */
+  _matchCompound(compound, obj) {
+    if (compound.type) {
+      // createjs also has fields that aren't classes, such as VERSION, and inherited ones such as toString
+      const type = createjs.hasOwnProperty(compound.type) ? createjs[compound.type] : null;
+      if (typeof type !== 'function' || !(obj instanceof type)) {
+        return false;
+      }
+    }
+
+    return compound.names.every((name) => {
+      return /^\d+$/.test(name) ? obj.id === parseInt(name, 10) : obj.name === name;
+    }) && compound.attrs.every((attr) => {
+      return this._matchAttr(attr, obj);
+    }) && compound.pseudos.every((pseudo) => {
+      return this._matchPseudo(pseudo, obj);
+    });
+  }
+
+  /**
+   * Checks if a DisplayObject matches an attribute part.  Values are compared as strings, so [visible=false] and [x=10] work as expected.
+   * @access private
+   * @param {!object} attr - parsed attribute part
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj matches
+   */
+  _matchAttr(attr, obj) {
+    const val = obj[attr.name];
+    if (!attr.op) {
+      return val !== undefined && val !== null;
+    }
+
+    const str = String(val);
+    switch (attr.op) {
+      case '=':
+        return str === attr.value;
+      case '!=':
+        return str !== attr.value;
+      case '^=':
+        return str.indexOf(attr.value) === 0;
+      case '$=':
+        return str.length >= attr.value.length && str.lastIndexOf(attr.value) === str.length - attr.value.length;
+      default:
+        return str.indexOf(attr.value) !== -1;
+    }
+  }
+
+  /**
+   * Checks if a DisplayObject matches a pseudo-class part
+   * @access private
+   * @param {!object} pseudo - parsed pseudo-class part
+   * @param {!DisplayObject} obj - DisplayObject to check
+   * @return {boolean} true if obj matches
+   */
+  _matchPseudo(pseudo, obj) {
+    const matchArg = (target) => {
+      return this._isNumber(pseudo.arg) ? target.id === pseudo.arg : this._matchList(pseudo.arg, target);
+    };
+
+    switch (pseudo.name) {
+      case 'cached':
+        return !!(obj.cacheID || obj.cacheCanvas);
+      case 'visible':
+        return obj.visible !== false;
+      case 'hidden':
+        return obj.visible === false;
+      case 'empty':
+        return !obj.children || obj.children.length === 0;
+      case 'not':
+        return !this._matchList(pseudo.arg, obj);
+      case 'child-of':
+        return !!obj.parent && matchArg(obj.parent);
+      default: {
+        let ancestor = obj.parent;
+        while (ancestor) {
+          if (matchArg(ancestor)) {
+            return true;
+          }
+          ancestor = ancestor.parent;
+        }
+
+        return false;
+      }
+    }
+  }
+
+  /**
+   * Checks if the argument is a number or not
+   * @access private
+   * @param {!object} obj - item to check
+   * @return {boolean} true if obj is a number, false otherwise
+   */
+  _isNumber(obj) {
+    return Number(obj) === obj && !isNaN(obj);
+  }
+}
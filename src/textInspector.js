@@ -0,0 +1,230 @@
+/**
+ * Measures the stage's Text DisplayObjects the same way createjs.Text lays them out: how the lines wrap, where each line is drawn relative to the Text's position for its textAlign and textBaseline, and which lines don't fit in the lineWidth they should wrap at or are squeezed to fit maxWidth
+ */
+export default class TextInspector {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage's Texts are measured
+   */
+  constructor(inspector) {
+    /**
+     * inspector whose stage's Texts are measured
+     * @access private
+     */
+    this._inspector = inspector;
+  }
+
+  /**
+   * Finds the Texts on the stage
+   * @access public
+   * @param {?Array} filters - filter array where only Texts that match at least one filter are included, or null for all Texts
+   * @return {Text[]} the Texts
+   */
+  getTexts(filters) {
+    const back = [];
+    const visit = (obj) => {
+      if (obj === this._inspector._container) {
+        return;
+      }
+      if (obj instanceof createjs.Text && (!filters || this._inspector._checkFilters(obj, filters))) {
+        back.push(obj);
+      }
+      if (obj.children) {
+        obj.children.forEach(visit);
+      }
+    };
+    visit(this._inspector._stage);
+
+    return back;
+  }
+
+  /**
+   * Measures the layout of a Text
+   * @access public
+   * @param {!Text} text - the Text to measure
+   * @return {object} the metrics.  They have the Text (object), its font, the lineHeight used to space the lines (which is estimated from the width of an M when autoLineHeight is true), textAlign and textBaseline, lineWidth and maxWidth (or null if not set, including 0, which createjs.Text treats as not set), baselineY (the y of the first line's alphabetic baseline, relative to the Text's position), width and height of all the lines, the wrapped lines, whether any line overflows lineWidth or is squeezed by maxWidth (overflow), and whether the font has loaded (fontLoaded, which is false while a web font is still loading and measurements use a fallback font, or null if the browser can't tell).  Each line has its text, and x, y, width, and height of its box in the Text's local space, where width is the measured width before any squeezing for maxWidth, and whether it overflows lineWidth or is squeezed.
+   */
+  measure(text) {
+    const metrics = text.getMetrics();
+    const lineHeight = metrics.lineHeight;
+    const textAlign = text.textAlign || 'left';
+    const textBaseline = text.textBaseline || 'top';
+    const lineWidth = text.lineWidth ? text.lineWidth : null;
+    const maxWidth = text.maxWidth ? text.maxWidth : null;
+    const alignOffset = createjs.Text.H_OFFSETS[textAlign] || 0;
+    const baselineOffset = createjs.Text.V_OFFSETS[textBaseline] || 0;
+
+    const lines = metrics.lines.map((line, i) => {
+      const width = text._getMeasuredWidth(line);
+      return {
+        text:      line,
+        x:         width * alignOffset,
+        y:         i * lineHeight + lineHeight * baselineOffset,
+        width,
+        height:    lineHeight,
+        overflows: lineWidth !== null && width > lineWidth + TextInspector.TOLERANCE,
+        squeezed:  maxWidth !== null && width > maxWidth + TextInspector.TOLERANCE,
+      };
+    });
+
+    return {
+      object:         text,
+      font:           text.font,
+      lineHeight,
+      autoLineHeight: !text.lineHeight,
+      textAlign,
+      textBaseline,
+      lineWidth,
+      maxWidth,
+      baselineY:      lineHeight * (baselineOffset - createjs.Text.V_OFFSETS.alphabetic),
+      width:          metrics.width,
+      height:         metrics.height,
+      lines,
+      overflow:       lines.some((line) => line.overflows || line.squeezed),
+      fontLoaded:     this._isFontLoaded(text.font),
+    };
+  }
+
+  /**
+   * Checks if the web fonts a CSS font could use have finished loading
+   * @access private
+   * @param {!string} font - CSS font, such as 'bold 16px Lato'
+   * @return {boolean} false if a web font for it is still loading or failed to load, true if not, or null if the browser doesn't support the CSS Font Loading API or the font can't be parsed
+   */
+  _isFontLoaded(font) {
+    if (!document.fonts || !document.fonts.check) {
+      return null;
+    }
+
+    try {
+      return document.fonts.check(font);
+    }
+    catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Draws the layout of each Text: the box and measured width of each line, each line's alphabetic baseline, the Text's position as the alignment anchor, the lineWidth the lines wrap at, and a label with the font and line height.  Lines that don't fit are filled, and the label warns when the font hasn't loaded.
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   * @param {?Array} filters - filter array for which Texts to draw
+   */
+  _draw(container, filters) {
+    this.getTexts(filters).forEach((obj) => {
+      if (!obj.isVisible()) {
+        return;
+      }
+
+      const metrics = this.measure(obj);
+      const shape = new createjs.Shape();
+      shape.name = 'si_text_' + obj.id;
+      container.addChild(shape);
+
+      const g = shape.graphics;
+      const drawQuad = (x, y, width, height) => {
+        const corners = [
+          obj.localToGlobal(x, y),
+          obj.localToGlobal(x + width, y),
+          obj.localToGlobal(x + width, y + height),
+          obj.localToGlobal(x, y + height),
+        ];
+        g.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach((pt) => {
+          g.lineTo(pt.x, pt.y);
+        });
+        g.closePath();
+      };
+      const drawLine = (x1, y1, x2, y2) => {
+        const from = obj.localToGlobal(x1, y1);
+        const to = obj.localToGlobal(x2, y2);
+        g.moveTo(from.x, from.y).lineTo(to.x, to.y);
+      };
+
+      metrics.lines.forEach((line) => {
+        if (line.overflows || line.squeezed) {
+          g.beginFill(TextInspector.OVERFLOW_FILL_COLOR);
+          drawQuad(line.x, line.y, line.width, line.height);
+          g.endFill();
+        }
+        g.setStrokeStyle(1).beginStroke(line.overflows || line.squeezed ? TextInspector.OVERFLOW_COLOR : TextInspector.COLOR);
+        drawQuad(line.x, line.y, line.width, line.height);
+        g.endStroke();
+
+        const baselineY = line.y + line.height * -createjs.Text.V_OFFSETS.alphabetic;
+        g.setStrokeStyle(1).beginStroke(TextInspector.BASELINE_COLOR);
+        drawLine(line.x, baselineY, line.x + line.width, baselineY);
+        g.endStroke();
+
+        const labelPos = obj.localToGlobal(line.x + line.width, line.y);
+        const label = new createjs.Text(line.width.toFixed(1) + (line.squeezed ? ' > maxWidth' : ''), '10px sans-serif', line.overflows || line.squeezed ? TextInspector.OVERFLOW_COLOR : TextInspector.COLOR);
+        label.name = 'si_textLineWidth_' + obj.id;
+        label.x = labelPos.x + 2;
+        label.y = labelPos.y;
+        container.addChild(label);
+      });
+
+      if (metrics.lineWidth !== null) {
+        // the lines are aligned to the anchor, so the space they wrap in is too
+        const left = metrics.lineWidth * (createjs.Text.H_OFFSETS[metrics.textAlign] || 0);
+        const top = metrics.lines.length > 0 ? metrics.lines[0].y : 0;
+        g.setStrokeStyle(1).setStrokeDash([4, 4]).beginStroke(TextInspector.COLOR);
+        drawLine(left, top, left, top + metrics.height);
+        drawLine(left + metrics.lineWidth, top, left + metrics.lineWidth, top + metrics.height);
+        g.endStroke().setStrokeDash(null);
+      }
+
+      const anchor = obj.localToGlobal(0, 0);
+      g.setStrokeStyle(1).beginStroke(TextInspector.ANCHOR_COLOR)
+        .moveTo(anchor.x - 4, anchor.y).lineTo(anchor.x + 4, anchor.y)
+        .moveTo(anchor.x, anchor.y - 4).lineTo(anchor.x, anchor.y + 4)
+        .endStroke();
+
+      const info = new createjs.Text(
+        metrics.font + ', line height ' + metrics.lineHeight.toFixed(1) + (metrics.autoLineHeight ? ' (auto)' : '') + ', ' + metrics.textAlign + '/' + metrics.textBaseline + (metrics.fontLoaded === false ? ', font not loaded' : ''),
+        '10px sans-serif',
+        metrics.fontLoaded === false ? TextInspector.OVERFLOW_COLOR : TextInspector.COLOR
+      );
+      info.name = 'si_textInfo_' + obj.id;
+      info.x = anchor.x + 6;
+      info.y = anchor.y - info.getMeasuredLineHeight() - 6;
+      container.addChild(info);
+    });
+  }
+}
+
+/**
+ * color for outlining lines and drawing the lineWidth guides and labels
+ * @access public
+ */
+TextInspector.COLOR = '#0099ff';
+
+/**
+ * color for outlining lines that overflow lineWidth or are squeezed by maxWidth, and for the warning when a font hasn't loaded
+ * @access public
+ */
+TextInspector.OVERFLOW_COLOR = '#ff0000';
+
+/**
+ * color for filling lines that overflow lineWidth or are squeezed by maxWidth
+ * @access public
+ */
+TextInspector.OVERFLOW_FILL_COLOR = 'rgba(255, 0, 0, 0.3)';
+
+/**
+ * color for drawing each line's alphabetic baseline
+ * @access public
+ */
+TextInspector.BASELINE_COLOR = '#ff00ff';
+
+/**
+ * color for marking the Text's position, which textAlign and textBaseline align the lines to
+ * @access public
+ */
+TextInspector.ANCHOR_COLOR = '#ff9900';
+
+/**
+ * how much wider, in local units, a line can be than lineWidth or maxWidth without being reported, to allow for rounding
+ * @access public
+ */
+TextInspector.TOLERANCE = 0.5;
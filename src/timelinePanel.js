@@ -0,0 +1,370 @@
+import Panel from './panel';
+
+/**
+ * Floating HTML panel for inspecting and controlling the timeline of a MovieClip.  The overlay shows the MovieClip's bounds on its current frame.
+ */
+export default class TimelinePanel extends Panel {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage the MovieClip is on
+   */
+  constructor(inspector) {
+    super(inspector, 'Timeline');
+    this._refresh = this._refresh.bind(this);
+
+    /**
+     * MovieClip whose timeline is shown
+     * @access private
+     */
+    this._clip = null;
+
+    /**
+     * DOM elements that are updated as the timeline changes, by name
+     * @access private
+     */
+    this._fields = {};
+  }
+
+  /**
+   * Creates the panel's DOM elements and starts keeping it in sync with the stage
+   * @access public
+   */
+  open() {
+    super.open();
+    this._addHeaderButton('Parent', 'Show the timeline of the MovieClip containing this one', () => {
+      const parent = this._getParentClip(this._clip);
+      if (parent) {
+        this.setClip(parent);
+      }
+    });
+    this._addHeaderButton('\u00d7', 'Close', () => {
+      this._inspector.closeTimeline();
+    });
+
+    this._inspector._stage.addEventListener('drawend', this._refresh);
+    this._inspector._setOverlayDrawer('timeline', (container) => {
+      this._draw(container);
+    });
+  }
+
+  /**
+   * Removes the panel's DOM elements and stops keeping it in sync with the stage
+   * @access public
+   */
+  close() {
+    this._inspector._stage.removeEventListener('drawend', this._refresh);
+    this._inspector._setOverlayDrawer('timeline', null);
+    this._inspector._redrawStage();
+    super.close();
+  }
+
+  /**
+   * Shows the timeline of a MovieClip
+   * @access public
+   * @param {!MovieClip} clip - MovieClip to show
+   */
+  setClip(clip) {
+    this._clip = clip;
+    this._render();
+    this._inspector._redrawStage();
+  }
+
+  /**
+   * Retrieves the number of frames in a MovieClip's timeline
+   * @access private
+   * @param {!MovieClip} clip - MovieClip to get the number of frames of
+   * @return {number} the number of frames
+   */
+  _getTotalFrames(clip) {
+    return clip.totalFrames !== undefined ? clip.totalFrames : clip.timeline.duration;
+  }
+
+  /**
+   * Retrieves the labels in a MovieClip's timeline
+   * @access private
+   * @param {!MovieClip} clip - MovieClip to get the labels of
+   * @return {object[]} the labels, each with the label and its position, sorted by position
+   */
+  _getLabels(clip) {
+    return (clip.labels || (clip.getLabels ? clip.getLabels() : []) || []).slice().sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Finds the closest MovieClip ancestor of a MovieClip
+   * @access private
+   * @param {!MovieClip} clip - MovieClip to find the ancestor of
+   * @return {MovieClip} the ancestor, or null if there isn't one
+   */
+  _getParentClip(clip) {
+    for (let cur = clip ? clip.parent : null; cur; cur = cur.parent) {
+      if (cur instanceof createjs.MovieClip) {
+        return cur;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Finds the MovieClips inside a MovieClip that aren't inside another MovieClip within it
+   * @access private
+   * @param {!MovieClip} clip - MovieClip to search
+   * @return {MovieClip[]} the nested MovieClips
+   */
+  _getNestedClips(clip) {
+    const back = [];
+    const visit = (obj) => {
+      obj.children.forEach((child) => {
+        if (child instanceof createjs.MovieClip) {
+          back.push(child);
+        }
+        else if (child.children) {
+          visit(child);
+        }
+      });
+    };
+    visit(clip);
+
+    return back;
+  }
+
+  /**
+   * Moves the MovieClip's playhead by a number of frames and stops it there, wrapping around if it loops
+   * @access private
+   * @param {!number} delta - number of frames to move by
+   */
+  _step(delta) {
+    const clip = this._clip;
+    const total = this._getTotalFrames(clip);
+    let frame = clip.currentFrame + delta;
+    if (clip.loop) {
+      frame = (frame % total + total) % total;
+    }
+    else {
+      frame = Math.max(0, Math.min(total - 1, frame));
+    }
+    this._goto(frame);
+  }
+
+  /**
+   * Moves the MovieClip's playhead to a frame or label and stops it there
+   * @access private
+   * @param {!(number|string)} position - frame number or label
+   */
+  _goto(position) {
+    this._clip.gotoAndStop(position);
+    this._inspector._redrawStage();
+  }
+
+  /**
+   * Adds a button to the panel's content
+   * @access private
+   * @param {!HTMLElement} parent - element to add the button to
+   * @param {!string} text - button label
+   * @param {!string} tooltip - description of what the button does
+   * @param {!function} handler - function to call when the button is clicked
+   * @return {HTMLElement} the button
+   */
+  _addButton(parent, text, tooltip, handler) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = tooltip;
+    button.addEventListener('click', handler);
+    parent.appendChild(button);
+
+    return button;
+  }
+
+  /**
+   * Adds a line of text to the panel's content
+   * @access private
+   * @param {string} [name] - name to keep the element under in _fields so it can be updated, if any
+   * @return {HTMLElement} the element
+   */
+  _addLine(name) {
+    const line = document.createElement('div');
+    this._setStyle(line, { padding: '2px 4px', whiteSpace: 'normal' });
+    this._body.appendChild(line);
+    if (name) {
+      this._fields[name] = line;
+    }
+
+    return line;
+  }
+
+  /**
+   * Rebuilds the panel's content for the MovieClip
+   * @access private
+   */
+  _render() {
+    if (!this._element) {
+      return;
+    }
+
+    this._clearBody();
+    this._fields = {};
+    const clip = this._clip;
+
+    const title = this._addLine();
+    title.textContent = clip ? this._inspector._getObjectDisplayName(clip) : 'Select a MovieClip to show its timeline';
+    this._setStyle(title, { fontWeight: 'bold' });
+    if (!clip) {
+      return;
+    }
+
+    this._addLine('mode');
+    this._addLine('frame');
+    this._addLine('state');
+    this._addLine('bounds');
+
+    const controls = this._addLine();
+    this._fields.play = this._addButton(controls, '', 'Play or pause the timeline', () => {
+      clip.paused = !clip.paused;
+      this._refresh();
+    });
+    this._addButton(controls, '\u25c0', 'Step back a frame', () => {
+      this._step(-1);
+    });
+    this._addButton(controls, '\u25b6', 'Step forward a frame', () => {
+      this._step(1);
+    });
+
+    const scrub = document.createElement('input');
+    scrub.type = 'range';
+    scrub.min = '0';
+    scrub.max = String(Math.max(0, this._getTotalFrames(clip) - 1));
+    scrub.title = 'Scrub through the frames';
+    scrub.addEventListener('input', () => {
+      this._goto(parseInt(scrub.value, 10));
+    });
+    this._setStyle(scrub, { width: '100%' });
+    this._addLine().appendChild(scrub);
+    this._fields.scrub = scrub;
+
+    const labels = this._getLabels(clip);
+    this._addLine().textContent = 'Labels (' + labels.length + ')';
+    labels.forEach((label) => {
+      const line = this._addLine();
+      this._setStyle(line, { paddingLeft: '12px', cursor: 'pointer', textDecoration: 'underline' });
+      line.textContent = label.label + ' @ ' + label.position;
+      line.title = 'Jump to this label';
+      line.addEventListener('click', () => {
+        this._goto(label.label);
+      });
+    });
+
+    const frameBounds = clip.frameBounds;
+    const total = this._getTotalFrames(clip);
+    this._fields.frameBounds = [];
+    this._addLine().textContent = frameBounds ? 'Frame bounds (' + frameBounds.length + ' of ' + total + ' frames)' : 'Frame bounds: none, bounds are calculated from the content';
+    for (let i = 0; frameBounds && i < total; i++) {
+      const rect = frameBounds[i];
+      const line = this._addLine();
+      this._setStyle(line, { paddingLeft: '12px', cursor: 'pointer' });
+      line.textContent = i + ': ' + (rect ? this._formatRect(rect) : 'missing');
+      line.title = 'Go to this frame';
+      if (!rect) {
+        this._setStyle(line, { color: TimelinePanel.MISSING_COLOR });
+      }
+      line.addEventListener('click', () => {
+        this._goto(i);
+      });
+      this._fields.frameBounds.push(line);
+    }
+
+    const nested = this._getNestedClips(clip);
+    this._addLine().textContent = 'Nested MovieClips (' + nested.length + ')';
+    nested.forEach((child) => {
+      const line = this._addLine();
+      this._setStyle(line, { paddingLeft: '12px', cursor: 'pointer', textDecoration: 'underline' });
+      line.textContent = this._inspector._getObjectDisplayName(child);
+      line.title = 'Show the timeline of this MovieClip';
+      line.addEventListener('click', () => {
+        this.setClip(child);
+      });
+    });
+
+    this._refresh();
+  }
+
+  /**
+   * Updates the parts of the panel that change as the timeline plays
+   * @access private
+   */
+  _refresh() {
+    const clip = this._clip;
+    const fields = this._fields;
+    if (!clip || !fields.frame) {
+      return;
+    }
+
+    const total = this._getTotalFrames(clip);
+    const bounds = this._inspector._getObjectBounds(clip);
+    const frameBounds = clip.frameBounds;
+
+    fields.mode.textContent = 'mode: ' + clip.mode + ', startPosition: ' + clip.startPosition;
+    fields.frame.textContent = 'frame: ' + clip.currentFrame + ' / ' + total + (clip.currentLabel ? ' (' + clip.currentLabel + ')' : '');
+    fields.state.textContent = 'paused: ' + clip.paused + ', loop: ' + clip.loop;
+    let frameBoundsText = '';
+    if (frameBounds) {
+      const rect = frameBounds[clip.currentFrame];
+      frameBoundsText = ', frameBounds[' + clip.currentFrame + ']: ' + (rect ? this._formatRect(rect) : 'missing') +
+        (frameBounds.length < total ? ' (frameBounds has ' + frameBounds.length + ' entries, fewer than the frames)' : '');
+    }
+    fields.bounds.textContent = 'bounds: ' + (bounds ? this._formatRect(bounds) : 'none') + frameBoundsText;
+    fields.frameBounds.forEach((line, i) => {
+      line.style.fontWeight = i === clip.currentFrame ? 'bold' : '';
+    });
+    fields.play.textContent = clip.paused ? 'Play' : 'Pause';
+    if (fields.scrub !== document.activeElement) {
+      fields.scrub.value = String(clip.currentFrame);
+    }
+  }
+
+  /**
+   * Formats a rectangle for the panel
+   * @access private
+   * @param {!Rectangle} rect - rectangle to format
+   * @return {string} the position and size, such as 0,0 100x50
+   */
+  _formatRect(rect) {
+    return rect.x + ',' + rect.y + ' ' + rect.width + 'x' + rect.height;
+  }
+
+  /**
+   * Draws the MovieClip's bounds on its current frame
+   * @access private
+   * @param {!Container} container - the stage inspector container to add DisplayObjects to
+   */
+  _draw(container) {
+    const clip = this._clip;
+    const bounds = clip && clip.stage ? this._inspector._getObjectBounds(clip) : null;
+    if (!bounds) {
+      return;
+    }
+
+    const globalBounds = this._inspector._getGlobalBounds(clip, bounds);
+    const shape = new createjs.Shape();
+    shape.name = 'si_timeline';
+    shape.graphics.setStrokeStyle(2).beginStroke(TimelinePanel.COLOR).drawRect(globalBounds.x, globalBounds.y, globalBounds.width, globalBounds.height);
+    container.addChild(shape);
+
+    const text = new createjs.Text('frame ' + clip.currentFrame + (clip.currentLabel ? ' (' + clip.currentLabel + ')' : ''), '10px sans-serif', TimelinePanel.COLOR);
+    text.name = 'si_timelineText';
+    text.x = globalBounds.x;
+    text.y = globalBounds.y + globalBounds.height + 2;
+    container.addChild(text);
+  }
+}
+
+/**
+ * color for drawing the MovieClip's bounds
+ * @access public
+ */
+TimelinePanel.COLOR = '#9900ff';
+
+/**
+ * color for the frames that are missing from the MovieClip's frameBounds
+ * @access public
+ */
+TimelinePanel.MISSING_COLOR = '#ff0000';
@@ -0,0 +1,189 @@
+import Panel from './panel';
+
+/**
+ * Floating HTML panel next to the stage's canvas that shows the stage's display list as an expandable tree.  Selecting a node in the tree selects the DisplayObject in the inspector, and selecting a DisplayObject in the inspector reveals its node in the tree.
+ */
+export default class TreePanel extends Panel {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector whose stage is shown
+   */
+  constructor(inspector) {
+    super(inspector, 'Display List');
+    this._refresh = this._refresh.bind(this);
+    this._onSelect = this._onSelect.bind(this);
+
+    /**
+     * ids of the DisplayObjects whose nodes are expanded, as the keys of the object
+     * @access private
+     */
+    this._expanded = {};
+    this._expanded[inspector._stage.id] = true;
+
+    /**
+     * description of the display list the tree was last rendered from, used to skip rendering when nothing changed
+     * @access private
+     */
+    this._signature = null;
+  }
+
+  /**
+   * Creates the panel's DOM elements and starts keeping it in sync with the stage
+   * @access public
+   */
+  open() {
+    super.open();
+    this._addHeaderButton('Pick', 'Toggle hover inspect to pick a DisplayObject on the stage', () => {
+      if (this._inspector._hoverInspector) {
+        this._inspector.disableHoverInspect();
+      }
+      else {
+        this._inspector.enableHoverInspect();
+      }
+    });
+    this._addHeaderButton('\u00d7', 'Close', () => {
+      this._inspector.closeTreePanel();
+    });
+
+    this._inspector._selectionListeners.push(this._onSelect);
+    this._inspector._stage.addEventListener('drawend', this._refresh);
+    this._onSelect(this._inspector.selected);
+  }
+
+  /**
+   * Removes the panel's DOM elements and stops keeping it in sync with the stage
+   * @access public
+   */
+  close() {
+    const listeners = this._inspector._selectionListeners;
+    if (listeners.indexOf(this._onSelect) !== -1) {
+      listeners.splice(listeners.indexOf(this._onSelect), 1);
+    }
+    this._inspector._stage.removeEventListener('drawend', this._refresh);
+    super.close();
+  }
+
+  /**
+   * Selection listener for expanding the ancestors of the newly selected DisplayObject and scrolling its node into view
+   * @access private
+   * @param {DisplayObject} obj - the selected DisplayObject
+   */
+  _onSelect(obj) {
+    for (let cur = obj ? obj.parent : null; cur; cur = cur.parent) {
+      this._expanded[cur.id] = true;
+    }
+    this._render();
+
+    const row = obj ? this._body.querySelector('[data-id="' + obj.id + '"]') : null;
+    if (row && row.scrollIntoView) {
+      row.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Re-renders the tree if the display list changed since it was last rendered
+   * @access private
+   */
+  _refresh() {
+    if (this._getSignature() !== this._signature) {
+      this._render();
+    }
+  }
+
+  /**
+   * Describes the parts of the display list that affect how the tree is rendered
+   * @access private
+   * @return {string} the description
+   */
+  _getSignature() {
+    const parts = [];
+    const visit = (obj) => {
+      parts.push(obj.id + (obj.visible ? '' : '!') + (obj.name || ''));
+      if (obj.children) {
+        parts.push('(');
+        obj.children.forEach((child) => {
+          if (child !== this._inspector._container) {
+            visit(child);
+          }
+        });
+        parts.push(')');
+      }
+    };
+    visit(this._inspector._stage);
+
+    return parts.join(',');
+  }
+
+  /**
+   * Rebuilds the rows of the tree
+   * @access private
+   */
+  _render() {
+    if (!this._element) {
+      return;
+    }
+
+    this._signature = this._getSignature();
+    this._clearBody();
+    this._renderNode(this._inspector._stage, 0);
+  }
+
+  /**
+   * Adds the row for a DisplayObject, and its children's rows if it is expanded
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject to add the row for
+   * @param {!int} depth - 0-based nesting level of obj
+   */
+  _renderNode(obj, depth) {
+    const children = obj.children ? obj.children.filter((child) => child !== this._inspector._container) : null;
+    const expanded = !!this._expanded[obj.id];
+
+    const row = document.createElement('div');
+    row.setAttribute('data-id', obj.id);
+    this._setStyle(row, {
+      display:     'flex',
+      alignItems:  'center',
+      whiteSpace:  'nowrap',
+      cursor:      'pointer',
+      paddingLeft: (depth * 12 + 4) + 'px',
+      background:  obj === this._inspector.selected ? '#cce8ff' : '',
+      color:       obj.visible ? '' : '#999999',
+    });
+
+    const toggle = document.createElement('span');
+    toggle.textContent = children && children.length > 0 ? (expanded ? '\u25be' : '\u25b8') : ' ';
+    this._setStyle(toggle, { width: '12px', display: 'inline-block' });
+    toggle.addEventListener('click', (evt) => {
+      evt.stopPropagation();
+      this._expanded[obj.id] = !expanded;
+      this._render();
+    });
+    row.appendChild(toggle);
+
+    const visibility = document.createElement('input');
+    visibility.type = 'checkbox';
+    visibility.checked = obj.visible;
+    visibility.title = 'visible';
+    visibility.addEventListener('click', (evt) => {
+      evt.stopPropagation();
+      obj.visible = visibility.checked;
+      this._inspector._redrawStage();
+    });
+    row.appendChild(visibility);
+
+    const label = document.createElement('span');
+    label.textContent = this._inspector._getObjectType(obj) + (obj.name ? ' ' + obj.name : '') + ' (id=' + obj.id + ')' + (children ? ' [' + children.length + ']' : '');
+    row.appendChild(label);
+
+    row.addEventListener('click', () => {
+      this._inspector.select(obj);
+    });
+    this._body.appendChild(row);
+
+    if (children && expanded) {
+      children.forEach((child) => {
+        this._renderNode(child, depth + 1);
+      });
+    }
+  }
+}
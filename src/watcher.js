@@ -0,0 +1,189 @@
+import Linter from './linter';
+
+/**
+ * Intercepts writes to properties of DisplayObjects so it can be found out what changes them.  Each watched property is replaced with an accessor on the DisplayObject itself, and the original property is put back exactly when it is unwatched.
+ */
+export default class Watcher {
+  /**
+   * @access public
+   * @param {!StageInspector} inspector - inspector the watches are made through
+   */
+  constructor(inspector) {
+    /**
+     * inspector the watches are made through
+     * @access private
+     */
+    this._inspector = inspector;
+
+    /**
+     * active watches, each with the DisplayObject (obj), property name (prop), and the DisplayObject's own property descriptor before it was watched (descriptor, or null if the property was inherited)
+     * @access private
+     */
+    this._watches = [];
+  }
+
+  /**
+   * Starts intercepting writes to properties of a DisplayObject
+   * @access public
+   * @param {!DisplayObject} obj - DisplayObject to watch
+   * @param {!string[]} props - names of the properties to watch
+   * @param {!object} options - log (false to not log changes), trace (false to leave out the stack trace), and breakOn (true, 'NaN', 'offStage', or a function that returns true, to pause in the debugger)
+   * @return {string[]} the properties that are now watched, which leaves out ones that can't be redefined
+   */
+  watch(obj, props, options) {
+    return props.filter((prop) => {
+      this.unwatch(obj, [ prop ]);
+
+      const descriptor = Object.getOwnPropertyDescriptor(obj, prop) || null;
+      if (descriptor && !descriptor.configurable) {
+        console.log('Unable to watch ' + prop + ' of ' + this._inspector._getObjectDisplayName(obj) + ' since it can\'t be redefined');
+        return false;
+      }
+
+      const accessors = this._getAccessors(obj, prop, descriptor);
+      const watcher = this;
+      Object.defineProperty(obj, prop, {
+        configurable: true,
+        enumerable:   descriptor ? descriptor.enumerable : true,
+        get() {
+          return accessors.get.call(this);
+        },
+        set(value) {
+          const oldValue = accessors.get.call(this);
+          accessors.set.call(this, value);
+          if (!Object.is(oldValue, value)) {
+            watcher._onChange(this, prop, oldValue, value, options);
+          }
+        },
+      });
+      this._watches.push({ obj, prop, descriptor });
+
+      return true;
+    });
+  }
+
+  /**
+   * Stops intercepting writes to properties and puts the original properties back
+   * @access public
+   * @param {DisplayObject} [obj] - DisplayObject to stop watching, or null for all watched DisplayObjects
+   * @param {string[]} [props] - names of the properties to stop watching, or null for all of obj's watched properties
+   * @return {object[]} the watches removed, each with the DisplayObject (object) and property name (prop)
+   */
+  unwatch(obj, props) {
+    const removed = this._watches.filter((watch) => (!obj || watch.obj === obj) && (!props || props.indexOf(watch.prop) !== -1));
+    removed.forEach((watch) => {
+      const value = watch.obj[watch.prop];
+      delete watch.obj[watch.prop];
+
+      if (watch.descriptor) {
+        const descriptor = Object.assign({}, watch.descriptor);
+        if ('value' in descriptor) {
+          descriptor.value = value;
+        }
+        Object.defineProperty(watch.obj, watch.prop, descriptor);
+      }
+      else if (!Object.is(watch.obj[watch.prop], value)) {
+        // the property was inherited, so a write while watched would have made an own property
+        watch.obj[watch.prop] = value;
+      }
+    });
+    this._watches = this._watches.filter((watch) => removed.indexOf(watch) === -1);
+
+    return removed.map((watch) => ({ object: watch.obj, prop: watch.prop }));
+  }
+
+  /**
+   * Retrieves the active watches
+   * @access public
+   * @return {object[]} the watches, each with the DisplayObject (object) and property name (prop)
+   */
+  getWatches() {
+    return this._watches.map((watch) => ({ object: watch.obj, prop: watch.prop }));
+  }
+
+  /**
+   * Creates functions that read and write a property the way it worked before it was watched
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject the property is on
+   * @param {!string} prop - name of the property
+   * @param {object} descriptor - obj's own property descriptor for prop, or null if it is inherited
+   * @return {object} get and set functions, called with the DisplayObject as this
+   */
+  _getAccessors(obj, prop, descriptor) {
+    let inherited = null;
+    for (let proto = Object.getPrototypeOf(obj); !descriptor && proto && !inherited; proto = Object.getPrototypeOf(proto)) {
+      inherited = Object.getOwnPropertyDescriptor(proto, prop) || null;
+    }
+
+    const source = descriptor || inherited;
+    if (source && (source.get || source.set)) {
+      return {
+        get: source.get || (() => undefined),
+        set: source.set || (() => {}),
+      };
+    }
+
+    let value = obj[prop];
+    return {
+      get: () => value,
+      set: (newValue) => {
+        value = newValue;
+      },
+    };
+  }
+
+  /**
+   * Logs a change to a watched property and pauses in the debugger if the breakOn option matches
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject that changed
+   * @param {!string} prop - name of the property that changed
+   * @param {*} oldValue - value before the change
+   * @param {*} value - value after the change
+   * @param {!object} options - options passed to watch
+   */
+  _onChange(obj, prop, oldValue, value, options) {
+    if (options.log !== false) {
+      const message = this._inspector._getObjectDisplayName(obj) + '.' + prop + ' changed from ' + oldValue + ' to ' + value;
+      if (options.trace !== false) {
+        console.groupCollapsed(message);
+        console.log(new Error('stack trace').stack);
+        console.groupEnd();
+      }
+      else {
+        console.log(message);
+      }
+    }
+
+    if (this._shouldBreak(obj, prop, oldValue, value, options.breakOn)) {
+      // step out of this function to get to the code that changed the property
+      debugger;
+    }
+  }
+
+  /**
+   * Checks the breakOn option of a watch against a change
+   * @access private
+   * @param {!DisplayObject} obj - DisplayObject that changed
+   * @param {!string} prop - name of the property that changed
+   * @param {*} oldValue - value before the change
+   * @param {*} value - value after the change
+   * @param {*} breakOn - the breakOn option passed to watch
+   * @return {boolean} true to pause in the debugger
+   */
+  _shouldBreak(obj, prop, oldValue, value, breakOn) {
+    if (breakOn === true) {
+      return true;
+    }
+    else if (breakOn === 'NaN') {
+      return typeof value === 'number' && isNaN(value);
+    }
+    else if (breakOn === 'offStage') {
+      return !!new Linter(this._inspector)._offStage(obj);
+    }
+    else if (typeof breakOn === 'function') {
+      return !!breakOn(value, oldValue, obj, prop);
+    }
+
+    return false;
+  }
+}